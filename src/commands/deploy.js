@@ -2,81 +2,53 @@ import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
 import chalk from 'chalk';
-import ora from 'ora';
 import { nanoid } from 'nanoid';
-import { readProjectConfig, isProjectInitialized, addDeployment } from '../lib/config.js';
+import {
+  requireProjectConfig,
+  validateProjectConfig,
+  resolveRuntimeConfig,
+  readDeploymentHistory,
+  updateDeployment
+} from '../lib/config.js';
 import { GCPClient } from '../lib/gcp-client.js';
-
-/**
- * Sanitize branch name for Cloud Run service name
- */
-function sanitizeBranchName(branch) {
-  return branch
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, '-')
-    .replace(/-+/g, '-')           // Replace multiple hyphens with single hyphen
-    .replace(/^-+|-+$/g, '')       // Remove leading/trailing hyphens
-    .substring(0, 30)
-    .replace(/-+$/g, '');          // Remove any trailing hyphens after substring
-}
-
-/**
- * Get current git branch
- */
-function getCurrentBranch() {
-  try {
-    return execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf8' }).trim();
-  } catch (error) {
-    return 'main';
-  }
-}
-
-/**
- * Parse environment variables from .env file
- */
-function parseEnvFile(envPath) {
-  if (!fs.existsSync(envPath)) {
-    return {};
-  }
-
-  try {
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const envVars = {};
-
-    envContent.split('\n').forEach(line => {
-      const trimmed = line.trim();
-      if (trimmed && !trimmed.startsWith('#')) {
-        const [key, ...valueParts] = trimmed.split('=');
-        if (key) {
-          let value = valueParts.join('=').trim();
-          // Remove quotes if present
-          if ((value.startsWith('"') && value.endsWith('"')) ||
-              (value.startsWith("'") && value.endsWith("'"))) {
-            value = value.slice(1, -1);
-          }
-          envVars[key.trim()] = value;
-        }
-      }
-    });
-
-    return envVars;
-  } catch (error) {
-    console.warn(chalk.yellow(`Warning: Could not parse .env file: ${error.message}`));
-    return {};
-  }
-}
+import { loadEnvFiles, fingerprintEnv } from '../lib/env.js';
+import { getCurrentBranch, sanitizeBranchName } from '../lib/git.js';
+import { deployImage, describeServiceUrl, getPreviewTag, PREVIEW_LABEL, HEALTH_CHECK_TAG, hasPreviewTemplate } from '../lib/cloud-run.js';
+import { applySecretMappings } from '../lib/secrets.js';
+import { resolveBuildConfig, submitBuild, formatBuildArgs } from '../lib/cloud-build.js';
+import { getFramework, generateDockerfile } from '../lib/frameworks/index.js';
+import { getWorkspaceApp } from '../lib/workspace.js';
+import { resolveBuildArgs, getDockerBuildOptions, findUndeclaredBuildArgs, findUnmountedSecrets } from '../lib/build-args.js';
+import { CommandError, ExitCode } from '../lib/errors.js';
+import { createSpinner, log } from '../lib/output.js';
+import { resolveHealthCheck, runHealthChecks } from '../lib/health.js';
+import { startDeployAttempt } from '../lib/history.js';
+import {
+  resolveGitHubContext,
+  getPullRequestHead,
+  upsertPullRequestComment,
+  setCommitStatus,
+  formatPreviewComment,
+  getConsoleLogsUrl
+} from '../lib/github.js';
+import { pruneExpiredPreviews } from './prune.js';
 
 /**
  * Build Docker image
+ *
+ * buildContext is the workspace root for monorepo apps, the project otherwise.
  */
-async function buildDockerImage(imageName, spinner) {
+async function buildDockerImage(imageName, { buildContext, dockerfile, buildArgs }, spinner) {
   spinner.start('Building Docker image for Cloud Run (amd64)...');
 
+  const { flags, env } = getDockerBuildOptions(buildArgs);
+
   try {
     // Build for AMD64/x86_64 platform (required by Cloud Run)
-    execSync(`docker build --platform linux/amd64 -t ${imageName} .`, {
+    execSync(`docker build --platform linux/amd64 -f "${dockerfile}" ${flags.join(' ')} -t ${imageName} "${buildContext}"`, {
       stdio: 'pipe',
-      encoding: 'utf8'
+      encoding: 'utf8',
+      env: { ...process.env, ...env }
     });
     spinner.succeed('Docker image built successfully');
     return true;
@@ -123,21 +95,281 @@ function tagDockerImage(sourceName, targetName) {
   }
 }
 
+/**
+ * Build and push the image on Cloud Build instead of local Docker
+ */
+async function buildRemotely(config, serviceName, imageTag, imageLatest, { buildContext, dockerfile, workspace, buildArgs }, spinner) {
+  const { configPath, isProjectConfig, acceptsBuildArgs } = resolveBuildConfig(process.cwd(), {
+    workspace: Boolean(workspace)
+  });
+
+  if (!isProjectConfig) {
+    log(chalk.gray('cloudbuild.yaml does not accept image substitutions, using the built-in build config.'));
+    log(chalk.gray(`To use it, make its build step tag the image with \${_IMAGE_TAG} and \${_IMAGE_LATEST}${workspace ? ' and build -f \${_DOCKERFILE}' : ''}.\n`));
+  } else if (!acceptsBuildArgs && Object.keys(buildArgs.args).length > 0) {
+    log(chalk.yellow(`Warning: cloudbuild.yaml does not use \${_BUILD_ARGS}, so these build args are not passed: ${Object.keys(buildArgs.args).join(', ')}`));
+    log(chalk.gray('Add \${_BUILD_ARGS} to its docker build command (run through bash), or remove cloudbuild.yaml to use the built-in config.\n'));
+  }
+
+  if (buildArgs.secrets.length > 0) {
+    log(chalk.yellow(`Warning: Build secrets are not available on Cloud Build: ${buildArgs.secrets.map(secret => secret.id).join(', ')}\n`));
+  }
+
+  spinner.start('Uploading source to Cloud Build...');
+
+  try {
+    let streaming = false;
+
+    await submitBuild({
+      projectId: config.projectId,
+      region: config.region,
+      configPath,
+      sourceDir: buildContext,
+      substitutions: {
+        _SERVICE_NAME: serviceName,
+        _IMAGE_TAG: imageTag,
+        _IMAGE_LATEST: imageLatest,
+        _DOCKERFILE: path.relative(buildContext, dockerfile).split(path.sep).join('/'),
+        _BUILD_ARGS: formatBuildArgs(buildArgs.args),
+        _DEPLOY: 'false'
+      },
+      onLine: (line) => {
+        if (!streaming) {
+          spinner.stop();
+          streaming = true;
+        }
+        log(chalk.gray(`  ${line}`));
+      }
+    });
+
+    spinner.succeed('Cloud Build finished, image pushed to Artifact Registry');
+    return true;
+  } catch (error) {
+    spinner.fail('Cloud Build failed');
+    console.error(chalk.red(error.message));
+    return false;
+  } finally {
+    if (!isProjectConfig) {
+      fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Send traffic back to where it was before the deploy
+ *
+ * Tagged previews move their tag back to the previously tagged revision (or
+ * drop it if there was none); everything else restores the previous split.
+ * Traffic that followed the latest revision follows it again, unless the
+ * latest revision is now the one that failed; then it is pinned to the
+ * revision it served. Returns { description, pinned }, or null if there was
+ * nothing to go back to.
+ */
+async function restorePreviousTraffic(gcpClient, serviceName, previousSplit, previewTag) {
+  const service = await gcpClient.getService(serviceName);
+  const latestRevision = GCPClient.getRevisionName(service?.latestReadyRevision);
+  let pinned = false;
+
+  const serving = (previousSplit || [])
+    .filter(target => target.revision && target.percent > 0)
+    .map(target => {
+      if (!target.latest) return { revision: target.revision, percent: target.percent };
+      if (target.revision === latestRevision) return { latest: true, revision: target.revision, percent: target.percent };
+
+      pinned = true;
+      return { revision: target.revision, percent: target.percent };
+    });
+
+  if (previewTag) {
+    const previous = (previousSplit || []).find(target => target.tag === previewTag);
+    if (!previous?.revision) {
+      await gcpClient.removeTrafficTag(serviceName, previewTag);
+      return { description: `removed tag ${previewTag}`, pinned };
+    }
+
+    await gcpClient.updateTraffic(serviceName, [...serving, { revision: previous.revision, percent: 0, tag: previewTag }]);
+    return { description: `tag ${previewTag} → ${previous.revision}`, pinned };
+  }
+
+  if (serving.length === 0) {
+    return null;
+  }
+
+  await gcpClient.updateTraffic(serviceName, serving, { removeTags: [HEALTH_CHECK_TAG] });
+  return {
+    description: serving.map(target => `${target.latest ? `latest (${target.revision})` : target.revision} ${target.percent}%`).join(', '),
+    pinned
+  };
+}
+
+/**
+ * Print the outcome of each health check
+ */
+function printHealthCheckResults(results) {
+  for (const result of results) {
+    const attempts = result.attempts > 1 ? chalk.gray(` (${result.attempts} attempts)`) : '';
+    if (result.ok) {
+      log(chalk.green(`  ✓ ${result.path}`), chalk.gray(result.status), attempts);
+    } else {
+      log(chalk.red(`  ✗ ${result.path}`), chalk.gray(result.error), attempts);
+    }
+  }
+  log();
+}
+
+/**
+ * Work out which pull request to report a preview deploy to, or null
+ *
+ * --github-pr must be usable; a pull request detected from CI without a
+ * token or repository is skipped with a note.
+ */
+async function resolvePullRequest(config, options, deploymentType) {
+  const explicit = options.githubPr !== undefined;
+  const prNumber = explicit ? Number(options.githubPr) : null;
+
+  if (explicit && (!Number.isInteger(prNumber) || prNumber < 1)) {
+    throw new CommandError('--github-pr must be a pull request number', ExitCode.USAGE);
+  }
+
+  if (deploymentType !== 'preview') {
+    if (explicit) {
+      throw new CommandError('--github-pr is only supported for preview deployments.', ExitCode.USAGE);
+    }
+    return null;
+  }
+
+  const github = resolveGitHubContext(config, prNumber);
+  if (!github) return null;
+
+  // Statuses for a pull request other than the one being built go on its head commit
+  if (!github.sha && github.token && github.repository) {
+    try {
+      github.sha = await getPullRequestHead(github);
+    } catch (error) {
+      if (explicit) {
+        throw new CommandError(`Cannot report to pull request #${github.pullRequest}: ${error.message}`, ExitCode.USAGE);
+      }
+    }
+  }
+
+  const missing = !github.token ? 'GITHUB_TOKEN (or GH_TOKEN) is not set'
+    : !github.repository ? 'the repository is unknown, set github.repository in gcp-deploy.json'
+      : !github.sha ? 'the commit is unknown'
+        : null;
+
+  if (missing) {
+    if (explicit) {
+      throw new CommandError(`Cannot report to pull request #${github.pullRequest}: ${missing}.`, ExitCode.USAGE);
+    }
+    log(chalk.gray(`Not reporting to pull request #${github.pullRequest}: ${missing}.`));
+    return null;
+  }
+
+  return github;
+}
+
+/**
+ * Set the pull request's commit status to pending while the deploy runs
+ *
+ * Like the final report, a GitHub problem is only a warning.
+ */
+async function markPullRequestPending(github, config, serviceName) {
+  try {
+    await setCommitStatus(github, {
+      state: 'pending',
+      context: `gcp-deploy/${config.serviceName}`,
+      description: 'Deploying preview...',
+      targetUrl: getConsoleLogsUrl(config, serviceName)
+    });
+  } catch (error) {
+    log(chalk.yellow(`Warning: Could not set a pending status on pull request #${github.pullRequest}: ${error.message}`));
+  }
+}
+
+/**
+ * Update the pull request's sticky comment and commit status for a finished deploy
+ *
+ * GitHub problems are shown as warnings and never fail the deploy. Returns
+ * { repository, pullRequest, commentId } or null.
+ */
+async function reportToPullRequest(github, config, entry) {
+  const name = entry.tag ? `${entry.tag}---${entry.serviceName}` : entry.serviceName;
+  const succeeded = entry.status === 'succeeded';
+  const spinner = createSpinner(`Updating pull request #${github.pullRequest}...`).start();
+
+  try {
+    const commentId = await upsertPullRequestComment(github, config.serviceName, formatPreviewComment({
+      status: succeeded ? 'succeeded' : 'failed',
+      name,
+      url: entry.url,
+      branch: entry.branch,
+      image: entry.image,
+      revision: entry.revision,
+      logsUrl: getConsoleLogsUrl(config, entry.serviceName),
+      deploymentId: entry.id,
+      failedStep: entry.failedStep,
+      error: entry.error
+    }));
+
+    await setCommitStatus(github, {
+      state: succeeded ? 'success' : 'failure',
+      context: `gcp-deploy/${config.serviceName}`,
+      description: succeeded ? `Preview deployed: ${name}` : `Preview deploy failed during ${entry.failedStep || 'deploy'}`,
+      targetUrl: succeeded ? entry.url : getConsoleLogsUrl(config, entry.serviceName)
+    });
+
+    // Remember the comment so removing the preview can update it
+    const reported = { repository: github.repository, pullRequest: github.pullRequest, commentId };
+    updateDeployment(entry.id, { github: reported });
+    spinner.succeed(`Updated pull request ${github.repository}#${github.pullRequest}`);
+    return reported;
+  } catch (error) {
+    spinner.warn(`Could not update pull request #${github.pullRequest}: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Deploy command handler
+ *
+ * Every attempt is recorded in the deployment history as soon as the target
+ * is known, and marked failed (with the step it failed in) if anything
+ * throws or the deploy is interrupted.
  */
 export async function deployCommand(options) {
-  console.log(chalk.bold.blue('\nGCP Deploy - Deploy Application\n'));
+  const tracker = { attempt: null };
+
+  const onInterrupt = () => {
+    tracker.attempt?.finish('cancelled', { error: 'Interrupted' });
+    process.exit(ExitCode.CANCELLED);
+  };
+  process.once('SIGINT', onInterrupt);
 
-  // Check if project is initialized
-  if (!isProjectInitialized()) {
-    console.log(chalk.red('Error: Project not initialized.'));
-    console.log(chalk.gray('Run'), chalk.cyan('gcp-deploy init'), chalk.gray('first.'));
-    return;
+  try {
+    return await runDeploy(options, tracker);
+  } catch (error) {
+    tracker.attempt?.finish('failed', { error: error.message });
+
+    if (tracker.attempt && tracker.github) {
+      const entry = readDeploymentHistory().deployments.find(d => d.id === tracker.attempt.id);
+      await reportToPullRequest(tracker.github, tracker.config, entry);
+    }
+
+    throw error;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
   }
+}
 
-  // Read project config
-  const config = readProjectConfig();
+/**
+ * Run a deploy, recording it through tracker.attempt
+ */
+async function runDeploy(options, tracker) {
+  log(chalk.bold.blue('\nGCP Deploy - Deploy Application\n'));
+
+  // Read and validate project config before anything is built
+  const config = requireProjectConfig();
+  validateProjectConfig(config);
 
   // Ensure service name is lowercase for Docker compatibility
   config.serviceName = config.serviceName.toLowerCase();
@@ -147,12 +379,20 @@ export async function deployCommand(options) {
   const isPreview = options.preview || false;
   const branchName = options.branch || getCurrentBranch();
 
+  // Previews are either separate services or tagged revisions of the main service
+  const previewMode = options.tagged ? 'tag' : (config.previews?.mode || 'service');
+
   let serviceName;
   let deploymentType;
+  let previewTag = null;
 
   if (isProduction) {
     serviceName = config.serviceName;
     deploymentType = 'production';
+  } else if ((isPreview || branchName !== 'main') && previewMode === 'tag') {
+    serviceName = config.serviceName;
+    previewTag = getPreviewTag(branchName, serviceName);
+    deploymentType = 'preview';
   } else if (isPreview || branchName !== 'main') {
     const sanitizedBranch = sanitizeBranchName(branchName);
     // Generate lowercase-only ID for Docker compatibility
@@ -166,160 +406,434 @@ export async function deployCommand(options) {
     deploymentType = 'production';
   }
 
-  console.log(chalk.gray(`Deployment type: ${deploymentType}`));
-  console.log(chalk.gray(`Service name: ${serviceName}`));
-  console.log(chalk.gray(`Region: ${config.region}\n`));
+  // Validate canary percentage
+  let canaryPercent = null;
+  if (options.canary !== undefined) {
+    canaryPercent = Number(options.canary);
+
+    if (!Number.isInteger(canaryPercent) || canaryPercent < 1 || canaryPercent > 99) {
+      throw new CommandError('--canary must be a whole number between 1 and 99.', ExitCode.USAGE);
+    }
+
+    if (deploymentType !== 'production') {
+      throw new CommandError(
+        `Canary releases are only supported for production deployments. Use \`gcp-deploy deploy --production --canary ${canaryPercent}\`.`,
+        ExitCode.USAGE
+      );
+    }
+  }
+
+  log(chalk.gray(`Deployment type: ${deploymentType}`));
+  log(chalk.gray(`Service name: ${serviceName}`));
+  if (previewTag) {
+    log(chalk.gray(`Preview tag: ${previewTag} (no traffic)`));
+  }
+  log(chalk.gray(`Region: ${config.region}`));
+
+  // Preview deploys for a pull request update its comment and commit status
+  const github = await resolvePullRequest(config, options, deploymentType);
+  if (github) {
+    log(chalk.gray(`Pull request: ${github.repository}#${github.pullRequest}`));
+  }
+
+  const runtime = resolveRuntimeConfig(config, deploymentType);
+  const healthCheck = options.skipHealthCheck ? null : resolveHealthCheck(config);
+  log(chalk.gray(`Runtime: ${runtime.memory} memory, ${runtime.cpu} CPU, port ${runtime.port}\n`));
+
+  const timestamp = Date.now();
+  const imageTag = previewTag
+    ? `${config.artifactRegistry}/${serviceName}:${previewTag}-${timestamp}`
+    : `${config.artifactRegistry}/${serviceName}:${timestamp}`;
+  const imageLatest = `${config.artifactRegistry}/${serviceName}:latest`;
+
+  const attempt = startDeployAttempt({
+    serviceName,
+    type: deploymentType,
+    branch: branchName,
+    image: imageTag,
+    region: config.region,
+    build: options.remote ? 'cloud-build' : 'local',
+    ...(previewTag && { tag: previewTag }),
+    ...(canaryPercent !== null && { canary: { percent: canaryPercent } }),
+    ...(github && { github: { repository: github.repository, pullRequest: github.pullRequest } })
+  });
+  tracker.attempt = attempt;
+  tracker.github = github;
+  tracker.config = config;
+
+  if (github) {
+    await markPullRequestPending(github, config, serviceName);
+  }
 
-  const spinner = ora();
+  const spinner = createSpinner();
 
   // Pre-flight checks
   spinner.start('Running pre-flight checks...');
 
-  // Check Docker is running
-  if (!GCPClient.checkDockerRunning()) {
+  // Check Docker is running (not needed when building on Cloud Build)
+  if (!options.remote && !GCPClient.checkDockerRunning()) {
     spinner.fail('Pre-flight checks failed');
-    console.error(chalk.red('Error: Docker is not running.'));
-    console.log(chalk.gray('Please start Docker and try again.'));
-    return;
+    throw new CommandError('Docker is not running. Start Docker and try again, or build on Cloud Build with --remote.', ExitCode.PREREQUISITE);
   }
 
   // Check gcloud authentication
   if (!GCPClient.checkGcloudAuth()) {
     spinner.fail('Pre-flight checks failed');
-    console.error(chalk.red('Error: gcloud CLI is not authenticated.'));
-    console.log(chalk.gray('Run'), chalk.cyan('gcloud auth login'), chalk.gray('to authenticate.'));
-    return;
+    throw new CommandError('gcloud CLI is not authenticated. Run `gcloud auth login` to authenticate.', ExitCode.AUTH);
   }
 
   // Configure Docker authentication
-  try {
-    GCPClient.configureDockerAuth(config.region);
-  } catch (error) {
-    spinner.fail('Pre-flight checks failed');
-    console.error(chalk.red(`Error: ${error.message}`));
-    return;
+  if (!options.remote) {
+    try {
+      GCPClient.configureDockerAuth(config.region);
+    } catch (error) {
+      spinner.fail('Pre-flight checks failed');
+      throw new CommandError(error.message, ExitCode.PREREQUISITE);
+    }
+  }
+
+  // Tagged previews are revisions of the production service, so it must exist
+  if (previewTag) {
+    const gcpClient = new GCPClient(config.projectId, config.region);
+    if (!(await gcpClient.getService(serviceName))) {
+      spinner.fail('Pre-flight checks failed');
+      throw new CommandError(
+        `Tagged previews need an existing ${serviceName} service. Deploy production first with \`gcp-deploy deploy --production\`.`,
+        ExitCode.NOT_FOUND
+      );
+    }
   }
 
   spinner.succeed('Pre-flight checks passed');
 
-  // Parse environment variables
-  const envPath = path.join(process.cwd(), '.env');
-  const envVars = parseEnvFile(envPath);
+  // Load layered env files for this deployment type and branch
+  const { envVars: fileEnvVars, files: envFiles } = loadEnvFiles(deploymentType, branchName);
 
-  if (Object.keys(envVars).length > 0) {
-    console.log(chalk.gray(`Loaded ${Object.keys(envVars).length} environment variables from .env\n`));
+  if (Object.keys(fileEnvVars).length > 0) {
+    log(chalk.gray(`Loaded ${Object.keys(fileEnvVars).length} environment variables from ${envFiles.join(', ')}\n`));
   }
 
-  // Build image
-  const timestamp = Date.now();
-  const imageTag = `${config.artifactRegistry}/${serviceName}:${timestamp}`;
-  const imageLatest = `${config.artifactRegistry}/${serviceName}:latest`;
+  // Mount mapped values from Secret Manager instead of sending plaintext
+  const { envVars, secrets, unmapped } = applySecretMappings(fileEnvVars, config);
+
+  if (Object.keys(secrets).length > 0) {
+    log(chalk.gray(`Mounting ${Object.keys(secrets).length} secret(s) from Secret Manager\n`));
+  }
+
+  if (unmapped.length > 0) {
+    log(chalk.yellow(`Warning: Env files contain values that look like secrets and will be sent as plaintext: ${unmapped.join(', ')}`));
+    log(chalk.gray('Store them in Secret Manager with'), chalk.cyan('gcp-deploy secrets set <NAME>\n'));
+  }
 
-  const buildSuccess = await buildDockerImage(imageTag, spinner);
-  if (!buildSuccess) {
-    console.log(chalk.red('\nDeployment failed.'));
-    return;
+  // Monorepo apps are built from the workspace root with the app's Dockerfile
+  const workspace = getWorkspaceApp();
+  const build = {
+    workspace,
+    buildContext: workspace ? workspace.root : process.cwd(),
+    dockerfile: path.join(process.cwd(), 'Dockerfile')
+  };
+
+  if (workspace) {
+    log(chalk.gray(`Workspace: building ${workspace.app.name} (${workspace.app.dir}) from ${workspace.root}\n`));
+  }
+
+  // Public env values (e.g. NEXT_PUBLIC_*) and build.args become build args
+  build.buildArgs = resolveBuildArgs(config, fileEnvVars);
+  const buildArgNames = Object.keys(build.buildArgs.args);
+
+  // Projects without a Dockerfile get the one for their framework
+  if (!fs.existsSync(build.dockerfile)) {
+    const framework = getFramework(config.framework);
+    fs.writeFileSync(build.dockerfile, generateDockerfile(framework, process.cwd(), {
+      buildArgs: buildArgNames,
+      secrets: build.buildArgs.secrets.length > 0
+    }));
+    log(chalk.gray(`No Dockerfile found, generated one for ${framework.displayName}\n`));
   }
 
-  // Tag as latest
-  tagDockerImage(imageTag, imageLatest);
+  if (buildArgNames.length > 0) {
+    log(chalk.gray(`Passing ${buildArgNames.length} build arg(s): ${buildArgNames.join(', ')}\n`));
 
-  // Push image
-  const pushSuccess = await pushDockerImage(imageTag, spinner);
-  if (!pushSuccess) {
-    console.log(chalk.red('\nDeployment failed.'));
-    return;
+    const undeclared = findUndeclaredBuildArgs(build.dockerfile, buildArgNames);
+    if (undeclared.length > 0) {
+      log(chalk.yellow(`Warning: The Dockerfile does not declare ARG ${undeclared.join(', ')}, so the build will not see them.`));
+      log(chalk.gray('Add these lines to the build stage, before the build step:'));
+      log(chalk.cyan(undeclared.map(name => `  ARG ${name}`).join('\n')) + '\n');
+    }
   }
 
-  // Also push latest tag
-  await pushDockerImage(imageLatest, spinner);
+  // Cloud Build gets no secrets (buildRemotely warns), so only check local builds
+  const unmounted = options.remote ? [] : findUnmountedSecrets(build.dockerfile, build.buildArgs.secrets.map(secret => secret.id));
+  if (unmounted.length > 0) {
+    log(chalk.yellow(`Warning: The Dockerfile does not mount build secret(s) ${unmounted.join(', ')}, so the build will not see them.`));
+    log(chalk.gray('Add'), chalk.cyan(unmounted.map(id => `--mount=type=secret,id=${id}`).join(' ')), chalk.gray('to the RUN step that needs them.\n'));
+  }
+
+  // Build image (Cloud Build also pushes it, so remote builds have no push step)
+  attempt.begin('build');
+
+  if (options.remote) {
+    const remoteSuccess = await buildRemotely(config, serviceName, imageTag, imageLatest, build, spinner);
+    if (!remoteSuccess) {
+      throw new CommandError('Deployment failed: Cloud Build failed', ExitCode.BUILD);
+    }
+  } else {
+    const buildSuccess = await buildDockerImage(imageTag, build, spinner);
+    if (!buildSuccess) {
+      throw new CommandError('Deployment failed: Docker build failed', ExitCode.BUILD);
+    }
+
+    // Tag as latest
+    attempt.begin('push');
+    tagDockerImage(imageTag, imageLatest);
+
+    // Push image
+    const pushSuccess = await pushDockerImage(imageTag, spinner);
+    if (!pushSuccess) {
+      throw new CommandError('Deployment failed: Docker push failed', ExitCode.BUILD);
+    }
+
+    // Also push latest tag
+    await pushDockerImage(imageLatest, spinner);
+  }
 
   // Deploy to Cloud Run using gcloud CLI
+  attempt.begin('deploy');
   spinner.start('Deploying to Cloud Run...');
 
   try {
-    // Build environment variables string
-    const envVarsString = Object.entries(envVars)
-      .map(([key, value]) => `${key}=${value}`)
-      .join(',');
-
-    // Deploy using gcloud CLI
-    const deployCommand = [
-      'gcloud run deploy',
-      serviceName,
-      `--image=${imageTag}`,
-      `--region=${config.region}`,
-      `--project=${config.projectId}`,
-      '--platform=managed',
-      '--allow-unauthenticated',
-      '--memory=512Mi',
-      '--cpu=1',
-      '--port=3000',
-      envVarsString ? `--set-env-vars="${envVarsString}"` : '',
-      '--quiet'
-    ].filter(Boolean).join(' ');
-
-    execSync(deployCommand, {
-      stdio: 'pipe',
-      encoding: 'utf8'
+    const gcpClient = new GCPClient(config.projectId, config.region);
+    let canary = null;
+
+    // Remember the current traffic so failed health checks can restore it
+    const previousSplit = healthCheck ? await gcpClient.getTrafficSplit(serviceName) : null;
+
+    if (canaryPercent !== null) {
+      // A canary needs a revision that is already serving traffic
+      const split = await gcpClient.getTrafficSplit(serviceName);
+      const stable = (split || []).filter(t => t.revision && t.percent > 0).sort((a, b) => b.percent - a.percent)[0];
+
+      if (stable) {
+        canary = { percent: canaryPercent, stableRevision: stable.revision };
+      } else {
+        spinner.warn('Service has no serving revision yet, deploying with 100% traffic');
+        spinner.start('Deploying to Cloud Run...');
+      }
+    }
+
+    deployImage(config, serviceName, imageTag, envVars, {
+      runtime,
+      secrets,
+      noTraffic: Boolean(canary || previewTag),
+      tag: previewTag,
+      // Tagged previews share one service template, so never inherit env from the last deploy
+      replaceEnv: previewMode === 'tag' || await hasPreviewTemplate(gcpClient, serviceName),
+      // Marks preview services as safe for prune to delete
+      labels: deploymentType === 'preview' && !previewTag ? { [PREVIEW_LABEL]: 'true' } : {}
     });
 
-    spinner.succeed('Deployed to Cloud Run');
+    if (canary) {
+      spinner.succeed('Deployed canary revision to Cloud Run');
+    } else if (previewTag) {
+      spinner.succeed(`Deployed tagged preview revision (${previewTag}) to Cloud Run`);
+      // --no-traffic pins production to the revision serving it, because
+      // following the latest revision would now serve the preview
+      log(chalk.gray('  Production traffic stays pinned to its current revision until the next production deploy'));
+    } else {
+      spinner.succeed('Deployed to Cloud Run');
+    }
+
+    // A split pinned by promote, abort or a traffic restore would leave the
+    // new revision without traffic
+    if (!canary && !previewTag && await gcpClient.routeTrafficToLatest(serviceName)) {
+      log(chalk.gray('  Traffic was pinned to an older revision, now routed to the latest revision'));
+    }
+
+    if (canary) {
+      spinner.start(`Routing ${canary.percent}% of traffic to the new revision...`);
+      const service = await gcpClient.getService(serviceName);
+      canary.revision = GCPClient.getRevisionName(service?.latestCreatedRevision);
+
+      await gcpClient.updateTraffic(serviceName, [
+        { revision: canary.revision, percent: canary.percent, ...(healthCheck && { tag: HEALTH_CHECK_TAG }) },
+        { revision: canary.stableRevision, percent: 100 - canary.percent }
+      ]);
+      spinner.succeed(`Traffic split: ${canary.revision} ${canary.percent}%, ${canary.stableRevision} ${100 - canary.percent}%`);
+    }
 
-    // Get service URL using gcloud
+    // Get service URL using gcloud, or the tag URL for tagged previews
     spinner.start('Retrieving service URL...');
-    const serviceUrl = execSync(
-      `gcloud run services describe ${serviceName} --region=${config.region} --project=${config.projectId} --format="value(status.url)"`,
-      { encoding: 'utf8', stdio: 'pipe' }
-    ).trim();
+    let serviceUrl;
+    let previewRevision = null;
+
+    if (previewTag) {
+      const split = await gcpClient.getTrafficSplit(serviceName);
+      const tagged = split.find(target => target.tag === previewTag);
+      serviceUrl = tagged?.uri;
+      previewRevision = tagged?.revision || null;
+    } else {
+      serviceUrl = describeServiceUrl(config, serviceName);
+    }
+
+    // Rollback reuses the env of the recorded revision
+    const revision = canary?.revision || previewRevision ||
+      GCPClient.getRevisionName((await gcpClient.getService(serviceName))?.latestCreatedRevision) || null;
     spinner.succeed('Service deployed successfully');
 
-    // Save deployment to history
-    addDeployment({
-      serviceName,
-      type: deploymentType,
-      branch: branchName,
+    // Smoke test the new revision: the service URL, or its own tag URL for
+    // canaries and tagged previews
+    let healthCheckResult = null;
+
+    if (healthCheck) {
+      let checkUrl = serviceUrl;
+      if (canary) {
+        const split = await gcpClient.getTrafficSplit(serviceName);
+        checkUrl = split.find(target => target.tag === HEALTH_CHECK_TAG)?.uri || serviceUrl;
+      }
+
+      attempt.begin('healthCheck');
+      spinner.start(`Running ${healthCheck.checks.length} health check(s) against ${checkUrl}...`);
+      const { passed, results } = await runHealthChecks(checkUrl, healthCheck, {
+        onAttempt: (check, attempt, result) => {
+          if (!result.ok && attempt <= healthCheck.retries) {
+            spinner.text = `Health check ${check.path} failed (${result.error}), retrying (${attempt}/${healthCheck.retries})...`;
+          }
+        }
+      });
+      healthCheckResult = { passed, results, url: checkUrl };
+
+      if (passed) {
+        spinner.succeed('Health checks passed');
+        if (canary) {
+          await gcpClient.removeTrafficTag(serviceName, HEALTH_CHECK_TAG);
+        }
+      } else {
+        spinner.fail('Health checks failed');
+      }
+      printHealthCheckResults(results);
+
+      if (!passed) {
+        if (healthCheck.rollback) {
+          spinner.start('Rolling back traffic to the previous revision...');
+          const restored = await restorePreviousTraffic(gcpClient, serviceName, previousSplit, previewTag);
+          healthCheckResult.restoredTraffic = restored?.description || null;
+
+          if (restored) {
+            spinner.succeed(`Traffic rolled back (${restored.description})`);
+            if (restored.pinned) {
+              log(chalk.gray('  The failed revision is now the latest, so traffic stays pinned until the next production deploy or rollback'));
+            }
+          } else {
+            spinner.warn('No previous revision to roll back to; the new revision is still serving');
+          }
+        } else if (canary) {
+          await gcpClient.removeTrafficTag(serviceName, HEALTH_CHECK_TAG);
+        }
+        healthCheckResult.rolledBack = Boolean(healthCheckResult.restoredTraffic);
+      }
+    }
+
+    // Record the outcome in history; failing health checks fail the attempt
+    const failedChecks = (healthCheckResult?.results || []).filter(result => !result.ok).map(result => result.path);
+    const entry = attempt.finish(failedChecks.length > 0 ? 'failed' : 'succeeded', {
       url: serviceUrl,
-      image: imageTag,
-      region: config.region
+      revision: revision || undefined,
+      // Without a serving revision a requested canary went out with all traffic
+      canary: canary ? { percent: canary.percent, stableRevision: canary.stableRevision } : undefined,
+      // Names and a hash only, so rollback can tell whether the env has changed
+      env: fingerprintEnv(envVars, secrets),
+      ...(healthCheckResult && { healthCheck: healthCheckResult }),
+      ...(failedChecks.length > 0 && { error: `Health checks failed for ${failedChecks.join(', ')}` })
     });
 
+    if (failedChecks.length > 0) {
+      console.error(chalk.red(`Deployment failed: health checks failed for ${failedChecks.join(', ')}`));
+      if (!healthCheckResult.rolledBack) {
+        log(chalk.gray('Roll back manually with'), chalk.cyan('gcp-deploy rollback\n'));
+      }
+
+      throw new CommandError(entry.error, ExitCode.HEALTH_CHECK, { reported: true });
+    }
+
+    // Opportunistically clean up expired previews
+    if (config.previews?.ttl) {
+      spinner.start(`Pruning previews older than ${config.previews.ttl}...`);
+      const pruned = await pruneExpiredPreviews(config, previewTag ? `${previewTag}---${serviceName}` : serviceName);
+      if (pruned.length > 0) {
+        spinner.succeed(`Pruned ${pruned.length} expired preview(s): ${pruned.join(', ')}`);
+      } else {
+        spinner.stop();
+      }
+    }
+
+    const pullRequest = github ? await reportToPullRequest(github, config, entry) : null;
+
     // Success message
-    console.log(chalk.green('\n✓ Deployment successful!\n'));
-    console.log(chalk.bold('Service URL:'));
-    console.log(chalk.cyan(`  ${serviceUrl}\n`));
+    log(chalk.green('\n✓ Deployment successful!\n'));
+    log(chalk.bold('Service URL:'));
+    log(chalk.cyan(`  ${serviceUrl}\n`));
 
     if (deploymentType === 'preview') {
-      console.log(chalk.gray('This is a preview deployment. To deploy to production, use:'));
-      console.log(chalk.cyan('  gcp-deploy deploy --production\n'));
+      log(chalk.gray('This is a preview deployment. To deploy to production, use:'));
+      log(chalk.cyan('  gcp-deploy deploy --production\n'));
+    }
+
+    if (canary) {
+      log(chalk.gray(`This is a canary release receiving ${canary.percent}% of traffic. Next steps:`));
+      log(chalk.cyan('  gcp-deploy traffic set <percent>'), chalk.gray('  Adjust the canary share'));
+      log(chalk.cyan('  gcp-deploy promote'), chalk.gray('             Send all traffic to the canary'));
+      log(chalk.cyan('  gcp-deploy abort'), chalk.gray('               Send all traffic back to the stable revision\n'));
     }
 
+    return {
+      deploymentId: entry.id,
+      serviceName,
+      type: deploymentType,
+      branch: branchName,
+      url: serviceUrl,
+      image: imageTag,
+      region: config.region,
+      revision: entry.revision || null,
+      tag: previewTag,
+      canary: entry.canary || null,
+      healthCheck: entry.healthCheck || null,
+      pullRequest
+    };
   } catch (error) {
+    if (error instanceof CommandError) {
+      throw error;
+    }
+
     spinner.fail('Deployment failed');
 
     // Extract clean error message
     let errorMessage = error.message;
     if (error.stderr) {
-      errorMessage = error.stderr;
+      errorMessage = error.stderr.toString();
     }
 
     console.error(chalk.red(`\nError: ${errorMessage}`));
 
     // Helpful error messages
+    let exitCode = ExitCode.DEPLOY;
     if (error.message.includes('403')) {
-      console.log(chalk.yellow('\nMake sure you have the necessary permissions:'));
-      console.log(chalk.gray('  - Cloud Run Admin'));
-      console.log(chalk.gray('  - Storage Admin (for Artifact Registry)'));
+      exitCode = ExitCode.AUTH;
+      log(chalk.yellow('\nMake sure you have the necessary permissions:'));
+      log(chalk.gray('  - Cloud Run Admin'));
+      log(chalk.gray('  - Storage Admin (for Artifact Registry)'));
     } else if (error.message.includes('404')) {
-      console.log(chalk.yellow('\nMake sure the following APIs are enabled:'));
-      console.log(chalk.gray('  - Cloud Run API'));
-      console.log(chalk.gray('  - Artifact Registry API'));
-      console.log(chalk.gray('  - Cloud Build API'));
-      console.log(chalk.gray('\nYou can enable them in the GCP Console or using:'));
-      console.log(chalk.cyan('  gcloud services enable run.googleapis.com artifactregistry.googleapis.com cloudbuild.googleapis.com'));
+      exitCode = ExitCode.PREREQUISITE;
+      log(chalk.yellow('\nMake sure the following APIs are enabled:'));
+      log(chalk.gray('  - Cloud Run API'));
+      log(chalk.gray('  - Artifact Registry API'));
+      log(chalk.gray('  - Cloud Build API'));
+      log(chalk.gray('\nYou can enable them in the GCP Console or using:'));
+      log(chalk.cyan('  gcloud services enable run.googleapis.com artifactregistry.googleapis.com cloudbuild.googleapis.com'));
     }
 
-    console.log(chalk.gray('\nFor more help, visit:'));
-    console.log(chalk.cyan('  https://cloud.google.com/run/docs\n'));
+    log(chalk.gray('\nFor more help, visit:'));
+    log(chalk.cyan('  https://cloud.google.com/run/docs\n'));
+
+    throw new CommandError(errorMessage.trim(), exitCode, { reported: true });
   }
 }
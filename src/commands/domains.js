@@ -0,0 +1,192 @@
+import chalk from 'chalk';
+import { requireProjectConfig } from '../lib/config.js';
+import { parseTaggedPreview } from '../lib/cloud-run.js';
+import {
+  listDomainMappings,
+  getDomainMapping,
+  createDomainMapping,
+  deleteDomainMapping,
+  waitForCertificate
+} from '../lib/domains.js';
+import { CommandError, ExitCode, getExitCode } from '../lib/errors.js';
+import { createSpinner, confirm, log } from '../lib/output.js';
+
+/**
+ * Print the DNS records a domain mapping needs
+ */
+function printDnsRecords(mapping) {
+  if (mapping.records.length === 0) {
+    log(chalk.gray('  DNS records are not available yet. Run'), chalk.cyan(`gcp-deploy domains ls`), chalk.gray('later.'));
+    return;
+  }
+
+  const nameWidth = Math.max(4, ...mapping.records.map(r => r.name.length));
+  const typeWidth = Math.max(4, ...mapping.records.map(r => r.type.length));
+
+  log(chalk.gray(`  ${'NAME'.padEnd(nameWidth)}  ${'TYPE'.padEnd(typeWidth)}  DATA`));
+  mapping.records.forEach(record => {
+    log(`  ${record.name.padEnd(nameWidth)}  ${record.type.padEnd(typeWidth)}  ${record.rrdata}`);
+  });
+}
+
+/**
+ * Format a mapping's certificate state for display
+ */
+function formatStatus(mapping) {
+  if (mapping.certificate === 'True') return chalk.green('certificate ready');
+  if (mapping.certificate === 'False') return chalk.red('certificate failed');
+  return chalk.yellow('waiting for DNS / certificate');
+}
+
+/**
+ * Domains add command handler
+ */
+export async function domainsAddCommand(domain, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Add Domain\n'));
+
+  const config = requireProjectConfig();
+
+  const serviceName = options.deployment || config.serviceName;
+
+  if (parseTaggedPreview(serviceName)) {
+    throw new CommandError('Domains can only be mapped to a Cloud Run service, not a tagged preview.', ExitCode.USAGE);
+  }
+
+  log(chalk.gray(`Domain: ${domain}`));
+  log(chalk.gray(`Service: ${serviceName}\n`));
+
+  const spinner = createSpinner(`Mapping ${domain} to ${serviceName}...`).start();
+  let mapping;
+
+  try {
+    const existing = getDomainMapping(config, domain);
+    if (existing && existing.service !== serviceName) {
+      spinner.fail(`${domain} is already mapped to ${existing.service}`);
+      throw new CommandError(`${domain} is already mapped to ${existing.service}. Remove it first with \`gcp-deploy domains rm ${domain}\`.`, ExitCode.USAGE);
+    }
+
+    mapping = existing || createDomainMapping(config, domain, serviceName);
+    spinner.succeed(existing ? `${domain} is already mapped to ${serviceName}` : `Mapped ${domain} to ${serviceName}`);
+  } catch (error) {
+    if (error instanceof CommandError) throw error;
+
+    spinner.fail('Failed to create domain mapping');
+    console.error(chalk.red(`\nError: ${error.message}`));
+
+    if (error.message.includes('verif')) {
+      log(chalk.yellow('\nVerify ownership of the domain first:'));
+      log(chalk.cyan(`  gcloud domains verify ${domain}`));
+    }
+    log();
+
+    throw new CommandError(error.message, getExitCode(error), { reported: true });
+  }
+
+  // Records are filled in asynchronously after creation
+  if (mapping.records.length === 0) {
+    mapping = getDomainMapping(config, domain) || mapping;
+  }
+
+  log(chalk.bold('\nAdd these DNS records at your DNS provider:\n'));
+  printDnsRecords(mapping);
+  log();
+
+  if (options.wait === false || mapping.certificate === 'True') {
+    log(chalk.gray('Status:'), formatStatus(mapping), '\n');
+    return mapping;
+  }
+
+  spinner.start('Waiting for the certificate to be provisioned (this can take up to 15 minutes)...');
+  const final = await waitForCertificate(config, domain, {
+    onPoll: current => {
+      if (current.message) {
+        spinner.text = `Waiting for the certificate: ${current.message}`;
+      }
+    }
+  });
+
+  if (final?.certificate === 'True') {
+    spinner.succeed('Certificate provisioned');
+    log(chalk.green(`\n✓ https://${domain} is live!\n`));
+  } else if (final?.certificate === 'False') {
+    spinner.fail(`Certificate provisioning failed${final.message ? `: ${final.message}` : ''}`);
+    log();
+    throw new CommandError(`Certificate provisioning failed for ${domain}${final.message ? `: ${final.message}` : ''}`, ExitCode.DEPLOY, { reported: true });
+  } else {
+    spinner.warn('Certificate not provisioned yet');
+    log(chalk.gray('DNS changes can take a while to propagate. Check progress with'), chalk.cyan('gcp-deploy domains ls'), chalk.gray('\n'));
+  }
+
+  return final || mapping;
+}
+
+/**
+ * Domains ls command handler
+ */
+export async function domainsListCommand() {
+  log(chalk.bold.blue('\nGCP Deploy - Domains\n'));
+
+  const config = requireProjectConfig();
+
+  const spinner = createSpinner('Fetching domain mappings...').start();
+  let mappings;
+
+  try {
+    mappings = listDomainMappings(config).filter(mapping =>
+      mapping.service === config.serviceName || mapping.service?.startsWith(`${config.serviceName}-`)
+    );
+    spinner.succeed('Domain mappings fetched');
+  } catch (error) {
+    spinner.fail('Failed to fetch domain mappings');
+    throw new CommandError(error.message, getExitCode(error));
+  }
+  log();
+
+  if (mappings.length === 0) {
+    log(chalk.yellow('No domains mapped.'));
+    log(chalk.gray('Add one with'), chalk.cyan('gcp-deploy domains add <host>'), chalk.gray('\n'));
+    return { domains: [] };
+  }
+
+  mappings.forEach(mapping => {
+    log(chalk.bold(`  ${mapping.domain}`), formatStatus(mapping));
+    log(chalk.gray(`    Service:    ${mapping.service}`));
+    if (mapping.certificate !== 'True') {
+      log(chalk.gray('    DNS records:'));
+      printDnsRecords(mapping);
+    }
+    log();
+  });
+
+  return { domains: mappings };
+}
+
+/**
+ * Domains rm command handler
+ */
+export async function domainsRemoveCommand(domain, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Remove Domain\n'));
+
+  const config = requireProjectConfig();
+
+  await confirm(`Remove the domain mapping for ${domain}?`, { yes: options.yes, cancelMessage: 'Removal cancelled.' });
+
+  const spinner = createSpinner(`Removing ${domain}...`).start();
+
+  try {
+    if (!getDomainMapping(config, domain)) {
+      spinner.warn(`${domain} is not mapped`);
+      log();
+      return { domain, removed: false };
+    }
+
+    deleteDomainMapping(config, domain);
+    spinner.succeed(`Removed domain mapping for ${domain}`);
+    log(chalk.gray('\nYou can now delete its DNS records.\n'));
+
+    return { domain, removed: true };
+  } catch (error) {
+    spinner.fail('Failed to remove domain mapping');
+    throw new CommandError(error.message, getExitCode(error));
+  }
+}
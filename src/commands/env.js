@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import prompts from 'prompts';
+import { requireProjectConfig } from '../lib/config.js';
+import { GCPClient } from '../lib/gcp-client.js';
+import { loadEnvFiles, setEnvFileValue, removeEnvFileValue, writeEnvFile } from '../lib/env.js';
+import { getCurrentBranch, sanitizeBranchName } from '../lib/git.js';
+import { applySecretMappings } from '../lib/secrets.js';
+import { CommandError, ExitCode, getExitCode } from '../lib/errors.js';
+import { createSpinner, confirm, isJsonMode, log } from '../lib/output.js';
+
+/**
+ * Pick the env file that add/rm should edit
+ */
+function resolveTargetFile(options) {
+  if (options.file) return options.file;
+  if (options.branch) return `.env.${sanitizeBranchName(options.branch)}`;
+  if (options.production) return '.env.production';
+  if (options.preview) return '.env.preview';
+  return '.env';
+}
+
+/**
+ * Mask a value for display
+ */
+function maskValue(value, reveal) {
+  if (reveal) return value;
+  if (!value) return '(empty)';
+  return '*'.repeat(Math.min(value.length, 8));
+}
+
+/**
+ * Env ls command handler
+ */
+export async function envListCommand(options) {
+  log(chalk.bold.blue('\nGCP Deploy - Environment Variables\n'));
+
+  const config = requireProjectConfig();
+
+  const deploymentType = options.preview ? 'preview' : 'production';
+  const branch = options.branch || getCurrentBranch();
+  const { envVars, files, sources } = loadEnvFiles(deploymentType, branch);
+  const { secrets } = applySecretMappings(envVars, config);
+
+  log(chalk.gray(`Deployment type: ${deploymentType}`));
+  log(chalk.gray(`Branch: ${branch}`));
+  log(chalk.gray(`Files: ${files.length > 0 ? files.join(', ') : 'none found'}\n`));
+
+  const keys = Object.keys(envVars).sort();
+  const result = {
+    type: deploymentType,
+    branch,
+    files,
+    variables: keys
+      .filter(key => !secrets[key])
+      .map(key => ({ key, value: options.reveal ? envVars[key] : null, source: sources[key] })),
+    secrets: Object.entries(secrets).map(([key, ref]) => ({ key, ...ref }))
+  };
+
+  if (keys.length === 0 && Object.keys(secrets).length === 0) {
+    log(chalk.yellow('No environment variables found.\n'));
+    return result;
+  }
+
+  const width = Math.max(...keys.map(k => k.length), ...Object.keys(secrets).map(k => k.length));
+
+  keys.forEach(key => {
+    if (secrets[key]) return;
+    log(`  ${chalk.bold(key.padEnd(width))}  ${maskValue(envVars[key], options.reveal)}  ${chalk.gray(sources[key])}`);
+  });
+
+  Object.entries(secrets).forEach(([key, { secret, version }]) => {
+    log(`  ${chalk.bold(key.padEnd(width))}  ${chalk.magenta(`secret:${secret}:${version}`)}`);
+  });
+
+  log();
+
+  return result;
+}
+
+/**
+ * Env add command handler
+ */
+export async function envAddCommand(key, value, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Add Environment Variable\n'));
+
+  const config = requireProjectConfig();
+
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+    throw new CommandError(`${key} is not a valid environment variable name.`, ExitCode.USAGE);
+  }
+
+  if (value === undefined && isJsonMode()) {
+    throw new CommandError('Pass the value as an argument to run env add with --json.', ExitCode.USAGE);
+  }
+
+  if (value === undefined) {
+    const response = await prompts({
+      type: 'password',
+      name: 'value',
+      message: `Value for ${key}:`
+    });
+
+    if (response.value === undefined) {
+      log(chalk.gray('Cancelled.'));
+      throw new CommandError('Cancelled.', ExitCode.CANCELLED, { reported: true });
+    }
+    value = response.value;
+  }
+
+  const file = resolveTargetFile(options);
+  setEnvFileValue(path.join(process.cwd(), file), key, value);
+  log(chalk.green(`✓ Set ${key} in ${file}\n`));
+
+  return { key, file };
+}
+
+/**
+ * Env rm command handler
+ */
+export async function envRemoveCommand(key, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Remove Environment Variable\n'));
+
+  const config = requireProjectConfig();
+
+  const file = resolveTargetFile(options);
+  if (!removeEnvFileValue(path.join(process.cwd(), file), key)) {
+    throw new CommandError(`${key} not found in ${file}`, ExitCode.NOT_FOUND);
+  }
+
+  log(chalk.green(`✓ Removed ${key} from ${file}\n`));
+  return { key, file };
+}
+
+/**
+ * Env pull command handler
+ */
+export async function envPullCommand(file, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Pull Environment Variables\n'));
+
+  const config = requireProjectConfig();
+
+  const serviceName = options.deployment || config.serviceName;
+  const targetFile = file || '.env.local';
+  const targetPath = path.join(process.cwd(), targetFile);
+
+  if (fs.existsSync(targetPath)) {
+    await confirm(`${targetFile} already exists. Overwrite it?`, { yes: options.yes, cancelMessage: 'Pull cancelled.' });
+  }
+
+  const spinner = createSpinner(`Fetching environment of ${serviceName}...`).start();
+
+  try {
+    const gcpClient = new GCPClient(config.projectId, config.region);
+    const live = await gcpClient.getServiceEnv(serviceName);
+
+    if (!live) {
+      throw new CommandError(`Service ${serviceName} not found in Cloud Run`, ExitCode.NOT_FOUND);
+    }
+
+    writeEnvFile(targetPath, live.env, `Pulled from Cloud Run service ${serviceName} on ${new Date().toISOString()}`);
+    spinner.succeed(`Wrote ${Object.keys(live.env).length} variable(s) to ${targetFile}`);
+
+    const secretNames = Object.keys(live.secrets);
+    if (secretNames.length > 0) {
+      log(chalk.gray(`Skipped ${secretNames.length} Secret Manager variable(s): ${secretNames.join(', ')}`));
+    }
+    log();
+
+    return { serviceName, file: targetFile, variables: Object.keys(live.env).length, skippedSecrets: secretNames };
+  } catch (error) {
+    spinner.fail('Failed to pull environment');
+    throw new CommandError(error.message, getExitCode(error));
+  }
+}
+
+/**
+ * Env diff command handler
+ */
+export async function envDiffCommand(options) {
+  log(chalk.bold.blue('\nGCP Deploy - Environment Diff\n'));
+
+  const config = requireProjectConfig();
+
+  const deploymentType = options.preview ? 'preview' : 'production';
+
+  if (deploymentType === 'preview' && !options.deployment) {
+    throw new CommandError('Specify which preview to compare with --deployment <service-name>.', ExitCode.USAGE);
+  }
+
+  const serviceName = options.deployment || config.serviceName;
+  const branch = options.branch || getCurrentBranch();
+  const { envVars: fileEnvVars, files } = loadEnvFiles(deploymentType, branch);
+  const { envVars: local, secrets: localSecrets } = applySecretMappings(fileEnvVars, config);
+
+  log(chalk.gray(`Local: ${files.length > 0 ? files.join(', ') : 'no env files'}`));
+  log(chalk.gray(`Live: ${serviceName}\n`));
+
+  const spinner = createSpinner('Fetching live revision...').start();
+
+  try {
+    const gcpClient = new GCPClient(config.projectId, config.region);
+    const live = await gcpClient.getServiceEnv(serviceName);
+
+    if (!live) {
+      throw new CommandError(`Service ${serviceName} not found in Cloud Run`, ExitCode.NOT_FOUND);
+    }
+    spinner.succeed('Live revision fetched\n');
+
+    const keys = [...new Set([...Object.keys(local), ...Object.keys(live.env)])].sort();
+    const changes = [];
+
+    for (const key of keys) {
+      const inLocal = key in local;
+      const inLive = key in live.env;
+
+      if (inLocal && !inLive) {
+        log(chalk.green(`  + ${key}=${maskValue(local[key], options.reveal)}`));
+        changes.push({ key, change: 'added' });
+      } else if (!inLocal && inLive) {
+        log(chalk.red(`  - ${key}=${maskValue(live.env[key], options.reveal)}`));
+        changes.push({ key, change: 'removed' });
+      } else if (local[key] !== live.env[key]) {
+        log(chalk.yellow(`  ~ ${key}: ${maskValue(live.env[key], options.reveal)} → ${maskValue(local[key], options.reveal)}`));
+        changes.push({ key, change: 'changed' });
+      }
+    }
+
+    const secretKeys = [...new Set([...Object.keys(localSecrets), ...Object.keys(live.secrets)])].sort();
+    for (const key of secretKeys) {
+      const localRef = localSecrets[key] && `${localSecrets[key].secret}:${localSecrets[key].version}`;
+      const liveRef = live.secrets[key] && `${live.secrets[key].secret}:${live.secrets[key].version}`;
+
+      if (localRef !== liveRef) {
+        log(chalk.magenta(`  ~ ${key}: secret ${liveRef || '(none)'} → ${localRef || '(none)'}`));
+        changes.push({ key, change: 'secret', from: liveRef || null, to: localRef || null });
+      }
+    }
+
+    if (changes.length === 0) {
+      log(chalk.green('  No differences.'));
+    }
+    log();
+
+    return { serviceName, files, changes };
+  } catch (error) {
+    spinner.fail('Failed to compare environment');
+    throw new CommandError(error.message, getExitCode(error));
+  }
+}
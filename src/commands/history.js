@@ -0,0 +1,168 @@
+import chalk from 'chalk';
+import { requireProjectConfig, readDeploymentHistory } from '../lib/config.js';
+import { DEPLOY_STATUSES, DEPLOY_STEPS, filterHistory } from '../lib/history.js';
+import { parseTime, formatDuration } from '../lib/duration.js';
+import { CommandError, ExitCode } from '../lib/errors.js';
+import { log } from '../lib/output.js';
+
+const STATUS_COLORS = {
+  succeeded: chalk.green,
+  failed: chalk.red,
+  cancelled: chalk.yellow,
+  'in-progress': chalk.cyan
+};
+
+/**
+ * Format date for display
+ */
+function formatDate(dateString) {
+  if (!dateString) return 'N/A';
+  const date = new Date(dateString);
+  return date.toLocaleString();
+}
+
+/**
+ * Color a status for display (entries without one are legacy successful deploys)
+ */
+function formatStatus(status = 'succeeded') {
+  return (STATUS_COLORS[status] || chalk.white)(status);
+}
+
+/**
+ * Validate the list filters, returning them for filterHistory
+ */
+function parseFilters(options) {
+  if (options.status && !DEPLOY_STATUSES.includes(options.status)) {
+    throw new CommandError(`--status must be one of: ${DEPLOY_STATUSES.join(', ')}`, ExitCode.USAGE);
+  }
+
+  if (options.type && !['production', 'preview'].includes(options.type)) {
+    throw new CommandError('--type must be production or preview', ExitCode.USAGE);
+  }
+
+  for (const name of ['since', 'until']) {
+    if (options[name] && !parseTime(options[name])) {
+      throw new CommandError(`Invalid --${name} value "${options[name]}". Use a duration like 7d or a date like 2024-01-15.`, ExitCode.USAGE);
+    }
+  }
+
+  return {
+    status: options.status,
+    type: options.type,
+    branch: options.branch,
+    since: options.since,
+    until: options.until
+  };
+}
+
+/**
+ * Print one deploy with its timings, operator and failure details
+ */
+function printDeployment(entry) {
+  log(chalk.bold(`Deploy ${entry.id}`), formatStatus(entry.status));
+  log(chalk.gray(`  Service:     ${entry.serviceName}${entry.tag ? ` (tag ${entry.tag})` : ''}`));
+  log(chalk.gray(`  Type:        ${entry.type}`));
+  log(chalk.gray(`  Branch:      ${entry.branch}`));
+  log(chalk.gray(`  Region:      ${entry.region || 'N/A'}`));
+  log(chalk.gray(`  Image:       ${entry.image || 'N/A'}`));
+  log(chalk.gray(`  URL:         ${entry.url || 'N/A'}`));
+  if (entry.revision) {
+    log(chalk.gray(`  Revision:    ${entry.revision}`));
+  }
+  if (entry.build) {
+    log(chalk.gray(`  Build:       ${entry.build}`));
+  }
+  if (entry.canary) {
+    log(chalk.gray(`  Canary:      ${entry.canary.percent}%${entry.canary.stableRevision ? ` (stable ${entry.canary.stableRevision})` : ''}`));
+  }
+  if (entry.rollback) {
+    log(chalk.gray(`  Rollback:    to ${entry.rollback.toDeploymentId || 'image'} from ${entry.rollback.fromImage || 'unknown'}`));
+  }
+  log(chalk.gray(`  Started:     ${formatDate(entry.timestamp)}`));
+  if (entry.finishedAt) {
+    log(chalk.gray(`  Finished:    ${formatDate(entry.finishedAt)}`));
+  }
+
+  if (entry.operator) {
+    const { gcloudAccount, gitUser, user, ci } = entry.operator;
+    log(chalk.gray(`  Operator:    ${gcloudAccount || 'unknown account'}${ci ? ' (CI)' : ''}`));
+    log(chalk.gray(`  Git user:    ${gitUser || 'N/A'}`));
+    log(chalk.gray(`  OS user:     ${user || 'N/A'}`));
+  }
+
+  if (entry.timings) {
+    log(chalk.bold('\n  Timings'));
+    for (const step of [...DEPLOY_STEPS, 'total']) {
+      if (entry.timings[step] !== undefined) {
+        log(chalk.gray(`    ${step.padEnd(12)} ${formatDuration(entry.timings[step])}`));
+      }
+    }
+  }
+
+  if (entry.healthCheck) {
+    log(chalk.bold('\n  Health checks'), entry.healthCheck.passed ? chalk.green('passed') : chalk.red('failed'));
+    for (const result of entry.healthCheck.results || []) {
+      const detail = result.ok ? result.status : result.error;
+      log(result.ok ? chalk.green(`    ✓ ${result.path}`) : chalk.red(`    ✗ ${result.path}`), chalk.gray(detail));
+    }
+    if (entry.healthCheck.restoredTraffic) {
+      log(chalk.gray(`    Traffic restored: ${entry.healthCheck.restoredTraffic}`));
+    }
+  }
+
+  if (entry.status === 'failed' || entry.status === 'cancelled') {
+    const outcome = entry.status === 'failed' ? 'Failed' : 'Cancelled';
+    log(chalk.red(`\n  ${outcome} during ${entry.failedStep || 'unknown step'}: ${entry.error || 'no error recorded'}`));
+  }
+  log();
+}
+
+/**
+ * History command handler
+ */
+export async function historyCommand(id, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Deploy History\n'));
+
+  requireProjectConfig();
+  const { deployments } = readDeploymentHistory();
+
+  if (id) {
+    const entry = deployments.find(d => d.id === id);
+    if (!entry) {
+      throw new CommandError(`No deploy with ID "${id}" in local history. Run \`gcp-deploy history\` to list them.`, ExitCode.NOT_FOUND);
+    }
+
+    printDeployment(entry);
+    return { deployment: entry };
+  }
+
+  const limit = Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new CommandError('--limit must be a positive integer', ExitCode.USAGE);
+  }
+
+  const matching = filterHistory(deployments, parseFilters(options));
+  const shown = matching.slice(0, limit);
+
+  if (shown.length === 0) {
+    log(chalk.yellow('No deploys found.\n'));
+    return { deployments: [], total: 0 };
+  }
+
+  for (const entry of shown) {
+    const duration = entry.timings?.total !== undefined ? formatDuration(entry.timings.total) : '';
+    const failure = entry.failedStep ? chalk.red(` at ${entry.failedStep}`) : '';
+
+    log(
+      chalk.bold(entry.id),
+      formatStatus(entry.status) + failure,
+      chalk.gray(`${entry.type}  ${entry.branch}  ${formatDate(entry.timestamp)}`),
+      chalk.gray(duration)
+    );
+    log(chalk.gray(`  ${entry.serviceName}${entry.tag ? ` (tag ${entry.tag})` : ''}${entry.rollback ? ' (rollback)' : ''}`));
+  }
+
+  log(chalk.gray(`\nShowing ${shown.length} of ${matching.length} deploy(s). Run \`gcp-deploy history <id>\` for details.\n`));
+
+  return { deployments: shown, total: matching.length };
+}
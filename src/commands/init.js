@@ -3,143 +3,32 @@ import path from 'path';
 import { execSync } from 'child_process';
 import prompts from 'prompts';
 import chalk from 'chalk';
-import ora from 'ora';
-import { writeProjectConfig, isProjectInitialized } from '../lib/config.js';
-
-/**
- * Check if the current directory is a Next.js project
- */
-function isNextJsProject() {
-  const packageJsonPath = path.join(process.cwd(), 'package.json');
-
-  if (!fs.existsSync(packageJsonPath)) {
-    return false;
-  }
-
-  try {
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-    return packageJson.dependencies?.next || packageJson.devDependencies?.next;
-  } catch (error) {
-    return false;
-  }
-}
-
-/**
- * Generate Dockerfile for Next.js
- */
-function generateDockerfile() {
-  return `# Detect package manager
-FROM node:20-alpine AS base
-
-# Install dependencies only when needed
-FROM base AS deps
-RUN apk add --no-cache libc6-compat
-WORKDIR /app
-
-# Copy package files
-COPY package.json yarn.lock* package-lock.json* pnpm-lock.yaml* ./
-RUN \\
-  if [ -f yarn.lock ]; then yarn --frozen-lockfile; \\
-  elif [ -f package-lock.json ]; then npm ci; \\
-  elif [ -f pnpm-lock.yaml ]; then corepack enable pnpm && pnpm i --frozen-lockfile; \\
-  else echo "Lockfile not found." && exit 1; \\
-  fi
-
-# Rebuild the source code only when needed
-FROM base AS builder
-WORKDIR /app
-COPY --from=deps /app/node_modules ./node_modules
-COPY . .
-
-# Next.js collects anonymous telemetry data about general usage.
-# Learn more here: https://nextjs.org/telemetry
-# Disable telemetry during the build.
-ENV NEXT_TELEMETRY_DISABLED=1
-
-RUN \\
-  if [ -f yarn.lock ]; then yarn build; \\
-  elif [ -f package-lock.json ]; then npm run build; \\
-  elif [ -f pnpm-lock.yaml ]; then corepack enable pnpm && pnpm run build; \\
-  else echo "Lockfile not found." && exit 1; \\
-  fi
-
-# Production image, copy all the files and run next
-FROM base AS runner
-WORKDIR /app
-
-ENV NODE_ENV=production
-ENV NEXT_TELEMETRY_DISABLED=1
-
-RUN addgroup --system --gid 1001 nodejs
-RUN adduser --system --uid 1001 nextjs
-
-COPY --from=builder /app/public ./public
-
-# Set the correct permission for prerender cache
-RUN mkdir .next
-RUN chown nextjs:nodejs .next
-
-# Automatically leverage output traces to reduce image size
-COPY --from=builder --chown=nextjs:nodejs /app/.next/standalone ./
-COPY --from=builder --chown=nextjs:nodejs /app/.next/static ./.next/static
-
-USER nextjs
-
-EXPOSE 3000
-
-ENV PORT=3000
-ENV HOSTNAME="0.0.0.0"
-
-CMD ["node", "server.js"]
-`;
-}
+import { readProjectConfig, writeProjectConfig, isProjectInitialized } from '../lib/config.js';
+import { CommandError, ExitCode } from '../lib/errors.js';
+import { createSpinner, confirm, isJsonMode, log } from '../lib/output.js';
+import { detectFramework, getFramework, generateDockerfile, readProjectContext, FRAMEWORK_NAMES } from '../lib/frameworks/index.js';
+import { getWorkspaceApp } from '../lib/workspace.js';
+import { getBuildArgNames } from '../lib/build-args.js';
+import { loadEnvFiles } from '../lib/env.js';
+import { generateBuildConfig } from '../lib/cloud-build.js';
 
 /**
  * Generate cloudbuild.yaml
+ *
+ * Builds and pushes the image for Cloud Build triggers and for
+ * `gcp-deploy deploy --remote`, which overrides the substitutions and deploys
+ * the image itself. In a monorepo the build runs from the workspace root with
+ * the app's Dockerfile.
  */
-function generateCloudBuild(projectId, region, serviceName) {
+function generateCloudBuild(projectId, region, serviceName, dockerfile = 'Dockerfile') {
   const artifactRegistry = `${region}-docker.pkg.dev/${projectId}/cloud-run-source-deploy`;
 
-  return `steps:
-  # Build the container image
-  - name: 'gcr.io/cloud-builders/docker'
-    args:
-      - 'build'
-      - '-t'
-      - '${artifactRegistry}/${serviceName}:$SHORT_SHA'
-      - '-t'
-      - '${artifactRegistry}/${serviceName}:latest'
-      - '.'
-
-  # Push the container image to Artifact Registry
-  - name: 'gcr.io/cloud-builders/docker'
-    args:
-      - 'push'
-      - '--all-tags'
-      - '${artifactRegistry}/${serviceName}'
-
-  # Deploy to Cloud Run
-  - name: 'gcr.io/google.com/cloudsdktool/cloud-sdk'
-    entrypoint: gcloud
-    args:
-      - 'run'
-      - 'deploy'
-      - '${serviceName}'
-      - '--image'
-      - '${artifactRegistry}/${serviceName}:$SHORT_SHA'
-      - '--region'
-      - '${region}'
-      - '--platform'
-      - 'managed'
-      - '--allow-unauthenticated'
-
-images:
-  - '${artifactRegistry}/${serviceName}:$SHORT_SHA'
-  - '${artifactRegistry}/${serviceName}:latest'
-
-options:
-  logging: CLOUD_LOGGING_ONLY
-`;
+  return generateBuildConfig({
+    _IMAGE_TAG: `${artifactRegistry}/${serviceName}:\${SHORT_SHA}`,
+    _IMAGE_LATEST: `${artifactRegistry}/${serviceName}:latest`,
+    _DOCKERFILE: dockerfile,
+    _BUILD_ARGS: ''
+  });
 }
 
 /**
@@ -157,6 +46,9 @@ function generateGcloudIgnore() {
 
 node_modules/
 .next/
+.output/
+.svelte-kit/
+.turbo/
 .env
 .env.*
 !.env.example
@@ -180,44 +72,46 @@ coverage/
 }
 
 /**
- * Update next.config.js to enable standalone output
+ * Generate .dockerignore so local builds don't copy dependencies or secrets
+ *
+ * Patterns match at any depth, so the same file works at a monorepo root.
  */
-function updateNextConfig() {
-  const nextConfigPath = path.join(process.cwd(), 'next.config.js');
-  const nextConfigMjsPath = path.join(process.cwd(), 'next.config.mjs');
-
-  let configPath = null;
-  if (fs.existsSync(nextConfigPath)) {
-    configPath = nextConfigPath;
-  } else if (fs.existsSync(nextConfigMjsPath)) {
-    configPath = nextConfigMjsPath;
-  }
+function generateDockerIgnore() {
+  return `.git
+**/node_modules
+**/npm-debug.log*
+**/.next
+**/.output
+**/.svelte-kit
+**/.turbo
+**/.env
+**/.env.*
+!**/.env.example
+`;
+}
 
-  if (configPath) {
-    const content = fs.readFileSync(configPath, 'utf8');
+/**
+ * Pick the framework adapter from --framework, the existing config or detection
+ */
+function resolveFramework(options, existingConfig) {
+  const name = options.framework || existingConfig?.framework;
 
-    // Check if standalone output is already configured
-    if (content.includes('output:') && content.includes('standalone')) {
-      return false; // Already configured
+  if (name) {
+    const adapter = getFramework(name);
+    if (!adapter) {
+      throw new CommandError(`Unknown framework "${name}". Use one of: ${FRAMEWORK_NAMES.join(', ')}`, ExitCode.USAGE);
     }
+    return adapter;
+  }
 
-    console.log(chalk.yellow('\nNote: You need to add the following to your next.config.js:'));
-    console.log(chalk.cyan('  output: "standalone"'));
-    console.log(chalk.gray('This is required for Docker deployment.\n'));
-    return true;
-  } else {
-    // Create a basic next.config.js
-    const basicConfig = `/** @type {import('next').NextConfig} */
-const nextConfig = {
-  output: 'standalone',
-}
-
-module.exports = nextConfig
-`;
-    fs.writeFileSync(nextConfigPath, basicConfig);
-    console.log(chalk.green('Created next.config.js with standalone output mode'));
-    return false;
+  const detected = detectFramework();
+  if (!detected) {
+    throw new CommandError(
+      `Could not detect the framework of this project. Pass --framework <name> (one of: ${FRAMEWORK_NAMES.join(', ')}).`,
+      ExitCode.CONFIG
+    );
   }
+  return detected;
 }
 
 /**
@@ -253,8 +147,8 @@ function getCurrentProject() {
  * Authenticate with gcloud
  */
 async function authenticateGcloud() {
-  console.log(chalk.yellow('\nYou need to authenticate with Google Cloud.'));
-  console.log(chalk.gray('This will open a browser window for authentication.\n'));
+  log(chalk.yellow('\nYou need to authenticate with Google Cloud.'));
+  log(chalk.gray('This will open a browser window for authentication.\n'));
 
   const { proceed } = await prompts({
     type: 'confirm',
@@ -264,91 +158,115 @@ async function authenticateGcloud() {
   });
 
   if (!proceed) {
-    console.log(chalk.red('\nAuthentication is required to continue.'));
+    log(chalk.red('\nAuthentication is required to continue.'));
     return false;
   }
 
   try {
-    console.log(chalk.gray('Opening browser for authentication...'));
+    log(chalk.gray('Opening browser for authentication...'));
     execSync('gcloud auth login', { stdio: 'inherit' });
 
-    console.log(chalk.gray('Setting up application default credentials...'));
+    log(chalk.gray('Setting up application default credentials...'));
     execSync('gcloud auth application-default login', { stdio: 'inherit' });
 
     return true;
   } catch (error) {
-    console.log(chalk.red('\nAuthentication failed.'));
+    log(chalk.red('\nAuthentication failed.'));
     return false;
   }
 }
 
 /**
- * Init command handler
+ * Authenticate gcloud with a service account key or a workload identity
+ * federation credential configuration
  */
-export async function initCommand() {
-  console.log(chalk.bold.blue('\nGCP Deploy - Initialize Project\n'));
+function activateCredentials(credentialsPath) {
+  const resolvedPath = path.resolve(credentialsPath);
 
-  // Check if gcloud is installed
+  if (!fs.existsSync(resolvedPath)) {
+    throw new CommandError(`Credentials file not found: ${credentialsPath}`, ExitCode.AUTH);
+  }
+
+  let credentials;
   try {
-    execSync('gcloud --version', { stdio: 'pipe' });
+    credentials = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
   } catch (error) {
-    console.log(chalk.red('Error: gcloud CLI is not installed.'));
-    console.log(chalk.gray('Install it from: https://cloud.google.com/sdk/docs/install'));
-    return;
+    throw new CommandError(`Credentials file ${credentialsPath} is not valid JSON`, ExitCode.AUTH);
   }
 
-  // Check if authenticated
-  if (!checkGcloudAuth()) {
-    const authenticated = await authenticateGcloud();
-    if (!authenticated) {
-      return;
-    }
-  } else {
-    const account = execSync('gcloud auth list --filter=status:ACTIVE --format="value(account)"', {
-      encoding: 'utf8',
-      stdio: 'pipe'
-    }).trim();
-    console.log(chalk.green(`✓ Authenticated as: ${account}\n`));
+  // Service account keys use activate-service-account, external accounts
+  // (workload identity federation) use login --cred-file
+  const command = credentials.type === 'service_account'
+    ? `gcloud auth activate-service-account --key-file="${resolvedPath}" --quiet`
+    : `gcloud auth login --cred-file="${resolvedPath}" --quiet`;
+
+  try {
+    execSync(command, { stdio: 'pipe' });
+  } catch (error) {
+    throw new CommandError(
+      `Failed to authenticate with ${credentialsPath}: ${error.stderr?.toString().trim() || error.message}`,
+      ExitCode.AUTH
+    );
   }
+}
 
-  // Check if already initialized
-  if (isProjectInitialized()) {
-    console.log(chalk.yellow('Project is already initialized!'));
-    const { overwrite } = await prompts({
-      type: 'confirm',
-      name: 'overwrite',
-      message: 'Do you want to overwrite the existing configuration?',
-      initial: false
-    });
-
-    if (!overwrite) {
-      console.log(chalk.gray('Initialization cancelled.'));
-      return;
-    }
+/**
+ * Validate a service name
+ */
+function validateServiceName(value) {
+  if (value.length === 0) return 'Service name is required';
+  if (!/^[a-z0-9-]+$/.test(value)) return 'Service name must be lowercase alphanumeric with hyphens';
+  return true;
+}
+
+/**
+ * Get project ID, region and service name from options, prompting for the
+ * rest when interactive
+ */
+async function resolveSettings(options, interactive) {
+  const provided = {
+    projectId: options.project,
+    region: options.region,
+    serviceName: options.service?.toLowerCase()
+  };
+
+  if (provided.region !== undefined && !/^[a-z]+-[a-z]+\d+$/.test(provided.region)) {
+    throw new CommandError(`Invalid region "${provided.region}" (expected something like us-central1)`, ExitCode.USAGE);
+  }
+
+  if (provided.serviceName !== undefined && validateServiceName(provided.serviceName) !== true) {
+    throw new CommandError(`Invalid service name "${options.service}": ${validateServiceName(provided.serviceName)}`, ExitCode.USAGE);
   }
 
-  // Check if it's a Next.js project
-  if (!isNextJsProject()) {
-    console.log(chalk.red('Error: This does not appear to be a Next.js project.'));
-    console.log(chalk.gray('Make sure you have Next.js listed in your package.json dependencies.'));
-    return;
+  if (!interactive) {
+    const flags = { projectId: '--project', region: '--region', serviceName: '--service' };
+    const missing = Object.keys(flags).filter(key => !provided[key]);
+
+    if (missing.length > 0) {
+      throw new CommandError(
+        `Missing required option(s) for non-interactive init: ${missing.map(key => flags[key]).join(', ')}`,
+        ExitCode.USAGE
+      );
+    }
+
+    return provided;
   }
 
   // Get current project or prompt for new one
   const currentProject = getCurrentProject();
   let defaultProjectId = currentProject && currentProject !== '(unset)' ? currentProject : '';
 
-  // Interactive prompts
+  // Interactive prompts, skipping values passed as options
   const response = await prompts([
     {
-      type: 'text',
+      type: provided.projectId ? null : 'text',
       name: 'projectId',
       message: 'GCP Project ID:',
       initial: defaultProjectId,
       validate: value => value.length > 0 ? true : 'Project ID is required'
     },
     {
-      type: 'select',
+      type: provided.region ? null : 'select',
       name: 'region',
       message: 'Select a region:',
       choices: [
@@ -361,25 +279,96 @@ export async function initCommand() {
       initial: 0
     },
     {
-      type: 'text',
+      type: provided.serviceName ? null : 'text',
       name: 'serviceName',
       message: 'Service name:',
       initial: path.basename(process.cwd()).toLowerCase().replace(/[^a-z0-9-]/g, '-'),
-      validate: value => {
-        if (value.length === 0) return 'Service name is required';
-        if (!/^[a-z0-9-]+$/.test(value)) return 'Service name must be lowercase alphanumeric with hyphens';
-        return true;
-      },
+      validate: validateServiceName,
       format: value => value.toLowerCase()
     }
   ]);
 
+  return {
+    projectId: provided.projectId || response.projectId,
+    region: provided.region || response.region,
+    serviceName: provided.serviceName || response.serviceName
+  };
+}
+
+/**
+ * Init command handler
+ */
+export async function initCommand(options = {}) {
+  log(chalk.bold.blue('\nGCP Deploy - Initialize Project\n'));
+
+  // Never prompt with --yes, --json or without a terminal to answer
+  const interactive = !options.yes && !isJsonMode() && Boolean(process.stdin.isTTY);
+
+  // Without prompts, fail on missing values before touching anything
+  const settings = interactive ? null : await resolveSettings(options, false);
+
+  // Check if gcloud is installed
+  try {
+    execSync('gcloud --version', { stdio: 'pipe' });
+  } catch (error) {
+    throw new CommandError('gcloud CLI is not installed. Install it from: https://cloud.google.com/sdk/docs/install', ExitCode.PREREQUISITE);
+  }
+
+  // Authenticate with a credentials file if one is given (or found in
+  // GOOGLE_APPLICATION_CREDENTIALS when nothing else is available)
+  const credentialsPath = options.credentials ||
+    (!interactive && !checkGcloudAuth() ? process.env.GOOGLE_APPLICATION_CREDENTIALS : undefined);
+
+  if (credentialsPath) {
+    activateCredentials(credentialsPath);
+  }
+
+  // Check if authenticated
+  if (!checkGcloudAuth()) {
+    if (!interactive) {
+      throw new CommandError(
+        'gcloud CLI is not authenticated. Pass --credentials <file> with a service account key or workload identity credential configuration, or set GOOGLE_APPLICATION_CREDENTIALS.',
+        ExitCode.AUTH
+      );
+    }
+
+    const authenticated = await authenticateGcloud();
+    if (!authenticated) {
+      throw new CommandError('Authentication is required to continue.', ExitCode.AUTH, { reported: true });
+    }
+  } else {
+    const account = execSync('gcloud auth list --filter=status:ACTIVE --format="value(account)"', {
+      encoding: 'utf8',
+      stdio: 'pipe'
+    }).trim();
+    log(chalk.green(`✓ Authenticated as: ${account}\n`));
+  }
+
+  // Check if already initialized
+  if (isProjectInitialized()) {
+    if (options.force) {
+      log(chalk.yellow('Project is already initialized, updating it (--force).\n'));
+    } else if (!interactive) {
+      throw new CommandError('Project is already initialized. Pass --force to update gcp-deploy.json and regenerate the Dockerfile.', ExitCode.CONFIG);
+    } else {
+      log(chalk.yellow('Project is already initialized!'));
+      await confirm('Update the project settings and regenerate the Dockerfile?', { cancelMessage: 'Initialization cancelled.' });
+    }
+  }
+
+  // Detect the framework (an override in an existing gcp-deploy.json wins)
+  const existingConfig = isProjectInitialized() ? readProjectConfig() : null;
+  const framework = resolveFramework(options, existingConfig);
+  log(chalk.gray(`Framework: ${framework.displayName} (port ${framework.port})\n`));
+
+  const response = settings || await resolveSettings(options, true);
+
   if (!response.projectId || !response.region || !response.serviceName) {
-    console.log(chalk.red('\nInitialization cancelled.'));
-    return;
+    log(chalk.red('\nInitialization cancelled.'));
+    throw new CommandError('Initialization cancelled.', ExitCode.CANCELLED, { reported: true });
   }
 
-  const spinner = ora('Setting up project...').start();
+  const spinner = createSpinner('Setting up project...').start();
 
   try {
     // Set the gcloud project
@@ -389,8 +378,8 @@ export async function initCommand() {
       spinner.succeed(`Set gcloud project to: ${response.projectId}`);
     } catch (error) {
       spinner.warn('Could not set gcloud project');
-      console.log(chalk.yellow('Run this command manually:'));
-      console.log(chalk.cyan(`  gcloud config set project ${response.projectId}`));
+      log(chalk.yellow('Run this command manually:'));
+      log(chalk.cyan(`  gcloud config set project ${response.projectId}`));
     }
 
     // Enable required APIs
@@ -399,7 +388,9 @@ export async function initCommand() {
       'run.googleapis.com',
       'artifactregistry.googleapis.com',
       'cloudbuild.googleapis.com',
-      'logging.googleapis.com'
+      'logging.googleapis.com',
+      'monitoring.googleapis.com',
+      'secretmanager.googleapis.com'
     ];
 
     try {
@@ -407,11 +398,11 @@ export async function initCommand() {
         stdio: 'pipe',
         timeout: 60000 // 60 second timeout
       });
-      spinner.succeed('Enabled required APIs (Cloud Run, Artifact Registry, Cloud Build, Logging)');
+      spinner.succeed('Enabled required APIs (Cloud Run, Artifact Registry, Cloud Build, Logging, Secret Manager)');
     } catch (error) {
       spinner.warn('Could not enable APIs automatically');
-      console.log(chalk.yellow('Run this command manually:'));
-      console.log(chalk.cyan(`  gcloud services enable ${requiredApis.join(' ')}`));
+      log(chalk.yellow('Run this command manually:'));
+      log(chalk.cyan(`  gcloud services enable ${requiredApis.join(' ')}`));
     }
 
     // Create Artifact Registry repository if it doesn't exist
@@ -437,17 +428,19 @@ export async function initCommand() {
       }
     } catch (error) {
       spinner.warn('Could not create Artifact Registry repository');
-      console.log(chalk.yellow('Run this command manually:'));
-      console.log(chalk.cyan(`  gcloud artifacts repositories create cloud-run-source-deploy \\`));
-      console.log(chalk.cyan(`    --repository-format=docker \\`));
-      console.log(chalk.cyan(`    --location=${response.region} \\`));
-      console.log(chalk.cyan(`    --description="Docker repository for Cloud Run"`));
+      log(chalk.yellow('Run this command manually:'));
+      log(chalk.cyan(`  gcloud artifacts repositories create cloud-run-source-deploy \\`));
+      log(chalk.cyan(`    --repository-format=docker \\`));
+      log(chalk.cyan(`    --location=${response.region} \\`));
+      log(chalk.cyan(`    --description="Docker repository for Cloud Run"`));
     }
-    // Create configuration
+    // Create configuration, keeping sections init does not manage (build, runtime, previews, ...)
     const config = {
+      ...existingConfig,
       projectId: response.projectId,
       region: response.region,
       serviceName: response.serviceName,
+      framework: framework.name,
       artifactRegistry: `${response.region}-docker.pkg.dev/${response.projectId}/cloud-run-source-deploy`,
       version: '1.0'
     };
@@ -465,40 +458,66 @@ export async function initCommand() {
       spinner.succeed('Docker authentication configured');
     } catch (error) {
       spinner.warn('Could not configure Docker authentication automatically');
-      console.log(chalk.yellow('Run this command manually:'));
-      console.log(chalk.cyan(`  gcloud auth configure-docker ${response.region}-docker.pkg.dev`));
+      log(chalk.yellow('Run this command manually:'));
+      log(chalk.cyan(`  gcloud auth configure-docker ${response.region}-docker.pkg.dev`));
     }
 
-    // Generate Dockerfile
-    spinner.start('Generating Dockerfile...');
-    fs.writeFileSync(path.join(process.cwd(), 'Dockerfile'), generateDockerfile());
-    spinner.succeed('Created Dockerfile');
+    // Generate Dockerfile; monorepo apps are built from the workspace root
+    const context = readProjectContext();
+    const workspace = getWorkspaceApp();
+    const buildRoot = workspace ? workspace.root : process.cwd();
+    const dockerfile = workspace ? path.posix.join(workspace.app.dir.split(path.sep).join('/'), 'Dockerfile') : 'Dockerfile';
+
+    if (workspace) {
+      log(chalk.gray(`Workspace: ${workspace.packageManager}${workspace.tool ? ` + ${workspace.tool}` : ''} monorepo at ${workspace.root}, app ${workspace.app.name} (${workspace.app.dir})`));
+    }
+
+    const startCommand = (workspace && framework.workspaceStartCommand?.(context)) || framework.startCommand(context);
+    spinner.start(`Generating Dockerfile for ${framework.displayName}...`);
+    const buildArgs = getBuildArgNames(config, ['production', 'preview'].map(type => loadEnvFiles(type).envVars));
+    fs.writeFileSync(path.join(process.cwd(), 'Dockerfile'), generateDockerfile(framework, process.cwd(), {
+      buildArgs,
+      secrets: Object.keys(config.build?.secrets || {}).length > 0
+    }));
+    spinner.succeed(`Created Dockerfile (starts with: ${startCommand})`);
+    if (buildArgs.length > 0) {
+      log(chalk.gray(`  Build args: ${buildArgs.join(', ')}`));
+    }
+
+    if (!fs.existsSync(path.join(buildRoot, '.dockerignore'))) {
+      fs.writeFileSync(path.join(buildRoot, '.dockerignore'), generateDockerIgnore());
+      spinner.succeed(`Created ${path.relative(process.cwd(), path.join(buildRoot, '.dockerignore'))}`);
+    }
 
     // Generate cloudbuild.yaml
     spinner.start('Generating cloudbuild.yaml...');
     fs.writeFileSync(
       path.join(process.cwd(), 'cloudbuild.yaml'),
-      generateCloudBuild(response.projectId, response.region, response.serviceName)
+      generateCloudBuild(response.projectId, response.region, response.serviceName, dockerfile)
     );
     spinner.succeed('Created cloudbuild.yaml');
 
-    // Generate .gcloudignore
-    spinner.start('Generating .gcloudignore...');
-    fs.writeFileSync(path.join(process.cwd(), '.gcloudignore'), generateGcloudIgnore());
-    spinner.succeed('Created .gcloudignore');
+    // Generate .gcloudignore where remote builds upload from, keeping a monorepo's own
+    if (!workspace || !fs.existsSync(path.join(buildRoot, '.gcloudignore'))) {
+      spinner.start('Generating .gcloudignore...');
+      fs.writeFileSync(path.join(buildRoot, '.gcloudignore'), generateGcloudIgnore());
+      spinner.succeed(`Created ${path.relative(process.cwd(), path.join(buildRoot, '.gcloudignore'))}`);
+    }
 
-    // Update next.config.js
-    spinner.start('Checking Next.js configuration...');
-    updateNextConfig();
-    spinner.succeed('Next.js configuration checked');
+    // Framework-specific setup (e.g. standalone output for Next.js)
+    spinner.start(`Checking ${framework.displayName} configuration...`);
+    const notes = framework.configure(context);
+    spinner.succeed(`${framework.displayName} configuration checked`);
+    notes.forEach(note => log(chalk.yellow(`Note: ${note}`)));
 
-    console.log(chalk.green('\n✓ Project initialized successfully!\n'));
-    console.log(chalk.bold('Ready to deploy!'));
-    console.log(chalk.gray('  Run'), chalk.cyan('gcp-deploy deploy --production'), chalk.gray('to deploy your app'));
-    console.log();
+    log(chalk.green('\n✓ Project initialized successfully!\n'));
+    log(chalk.bold('Ready to deploy!'));
+    log(chalk.gray('  Run'), chalk.cyan('gcp-deploy deploy --production'), chalk.gray('to deploy your app'));
+    log();
 
+    return { config };
   } catch (error) {
     spinner.fail('Initialization failed');
-    console.error(chalk.red(`Error: ${error.message}`));
+    throw new CommandError(error.message, ExitCode.ERROR);
   }
 }
@@ -0,0 +1,256 @@
+import chalk from 'chalk';
+import { requireProjectConfig, readDeploymentHistory, isSucceededDeployment } from '../lib/config.js';
+import { GCPClient } from '../lib/gcp-client.js';
+import { parseTaggedPreview } from '../lib/cloud-run.js';
+import { CommandError, ExitCode, getExitCode } from '../lib/errors.js';
+import { createSpinner, log } from '../lib/output.js';
+
+const MASK = '********';
+
+/**
+ * Convert a protobuf Timestamp to an ISO string
+ */
+function toISOString(timestamp) {
+  if (!timestamp?.seconds) return null;
+  return new Date(Number(timestamp.seconds) * 1000 + Math.round((timestamp.nanos || 0) / 1e6)).toISOString();
+}
+
+/**
+ * Format date for display
+ */
+function formatDate(dateString) {
+  if (!dateString) return 'N/A';
+  const date = new Date(dateString);
+  return date.toLocaleString();
+}
+
+/**
+ * Normalize Cloud Run conditions to { type, state, message, reason }
+ */
+function describeConditions(conditions = []) {
+  return conditions.filter(Boolean).map(condition => ({
+    type: condition.type,
+    state: (condition.state || 'STATE_UNSPECIFIED').replace(/^CONDITION_/, '').toLowerCase(),
+    message: condition.message || null,
+    reason: condition.reason || condition.revisionReason || condition.executionReason || null,
+    lastTransitionTime: toISOString(condition.lastTransitionTime)
+  }));
+}
+
+/**
+ * Pull the fields worth showing out of a revision
+ *
+ * Env values are masked; Secret Manager references keep the secret name.
+ * Revisions pin their image by digest (image@sha256:...).
+ */
+function describeRevision(revision) {
+  const container = revision.containers?.[0] || {};
+  const [, digest = null] = (container.image || '').split('@');
+
+  return {
+    name: GCPClient.getRevisionName(revision.name),
+    createdAt: toISOString(revision.createTime),
+    image: container.image || null,
+    digest,
+    port: container.ports?.[0]?.containerPort || null,
+    env: (container.env || []).map(variable => {
+      const secretRef = variable.valueSource?.secretKeyRef;
+      return secretRef
+        ? { name: variable.name, secret: secretRef.secret.split('/').pop(), version: secretRef.version || 'latest' }
+        : { name: variable.name, value: MASK };
+    }),
+    resources: {
+      cpu: container.resources?.limits?.cpu || null,
+      memory: container.resources?.limits?.memory || null,
+      cpuIdle: container.resources?.cpuIdle ?? null,
+      startupCpuBoost: container.resources?.startupCpuBoost ?? null
+    },
+    scaling: {
+      minInstances: revision.scaling?.minInstanceCount ?? 0,
+      maxInstances: revision.scaling?.maxInstanceCount || null
+    },
+    concurrency: revision.maxInstanceRequestConcurrency || null,
+    timeout: revision.timeout?.seconds ? Number(revision.timeout.seconds) : null,
+    executionEnvironment: (revision.executionEnvironment || '').replace(/^EXECUTION_ENVIRONMENT_/, '').toLowerCase() || null,
+    serviceAccount: revision.serviceAccount || null,
+    conditions: describeConditions(revision.conditions)
+  };
+}
+
+/**
+ * Find the history entry for a deployment, preferring the one for a serving revision
+ */
+function findHistoryEntry(serviceName, tag, revisions) {
+  const entries = readDeploymentHistory().deployments
+    .filter(d => d.serviceName === serviceName && (d.tag || null) === tag && isSucceededDeployment(d))
+    .reverse();
+
+  return entries.find(d => d.revision && revisions.includes(d.revision)) || entries[0] || null;
+}
+
+/**
+ * Print conditions as ✓/✗ lines with their messages
+ */
+function printConditions(conditions, indent) {
+  for (const condition of conditions) {
+    const symbol = condition.state === 'succeeded' ? chalk.green('✓')
+      : condition.state === 'failed' ? chalk.red('✗')
+        : chalk.yellow('…');
+    const detail = condition.message || (condition.state === 'succeeded' ? '' : condition.reason || condition.state);
+    log(`${indent}${symbol} ${condition.type}${detail ? ` ${chalk.gray(detail)}` : ''}`);
+  }
+}
+
+/**
+ * Print one revision's details
+ */
+function printRevision(revision, traffic) {
+  const targets = traffic.filter(target => target.revision === revision.name);
+  const share = targets.reduce((total, target) => total + target.percent, 0);
+  const tags = targets.filter(target => target.tag).map(target => target.tag);
+
+  log(chalk.bold(`  ${revision.name}`), chalk.gray(`${share}% traffic${tags.length > 0 ? `, tags: ${tags.join(', ')}` : ''}`));
+  log(chalk.gray(`    Created:         ${formatDate(revision.createdAt)}`));
+  log(chalk.gray(`    Image:           ${revision.image || 'N/A'}`));
+  log(chalk.gray(`    Digest:          ${revision.digest || 'N/A'}`));
+  log(chalk.gray(`    Resources:       ${revision.resources.cpu || '?'} CPU, ${revision.resources.memory || '?'} memory${revision.resources.cpuIdle === false ? ', CPU always allocated' : ''}`));
+  log(chalk.gray(`    Scaling:         ${revision.scaling.minInstances}-${revision.scaling.maxInstances ?? 'default'} instances, concurrency ${revision.concurrency || 'default'}`));
+  log(chalk.gray(`    Timeout:         ${revision.timeout ? `${revision.timeout}s` : 'default'}`));
+  if (revision.executionEnvironment) {
+    log(chalk.gray(`    Execution env:   ${revision.executionEnvironment}`));
+  }
+  log(chalk.gray(`    Service account: ${revision.serviceAccount || 'default compute service account'}`));
+
+  if (revision.env.length > 0) {
+    log(chalk.gray('    Env:'));
+    for (const variable of revision.env) {
+      const value = variable.secret ? chalk.cyan(`secret ${variable.secret}:${variable.version}`) : chalk.gray(variable.value);
+      log(chalk.gray(`      ${variable.name}=`) + value);
+    }
+  }
+
+  log(chalk.gray('    Conditions:'));
+  printConditions(revision.conditions, '      ');
+  log();
+}
+
+/**
+ * Inspect command handler
+ */
+export async function inspectCommand(deploymentName) {
+  log(chalk.bold.blue('\nGCP Deploy - Inspect Deployment\n'));
+
+  const config = requireProjectConfig();
+
+  // Tagged previews are addressed as <tag>---<service>
+  const tagged = parseTaggedPreview(deploymentName.toLowerCase());
+  const serviceName = tagged ? tagged.serviceName : deploymentName.toLowerCase();
+  const tag = tagged?.tag || null;
+
+  const spinner = createSpinner('Fetching service from Cloud Run...').start();
+  const gcpClient = new GCPClient(config.projectId, config.region);
+
+  let service;
+  let traffic;
+  let revisions;
+
+  try {
+    service = await gcpClient.getService(serviceName);
+    if (!service) {
+      spinner.fail('Service not found');
+      throw new CommandError(`Service ${serviceName} not found in Cloud Run (region ${config.region}). Run \`gcp-deploy list\` to see deployments.`, ExitCode.NOT_FOUND);
+    }
+
+    traffic = (await gcpClient.getTrafficSplit(serviceName)).map(({ uri, ...target }) => ({ ...target, url: uri }));
+
+    // A tagged preview is the revision behind its tag; a service is every
+    // revision serving traffic (or the latest ready one if none is)
+    let revisionNames;
+    if (tag) {
+      const target = traffic.find(t => t.tag === tag);
+      if (!target) {
+        spinner.fail('Preview tag not found');
+        throw new CommandError(`Tag ${tag} not found on ${serviceName}.`, ExitCode.NOT_FOUND);
+      }
+      revisionNames = [target.revision];
+    } else {
+      revisionNames = [...new Set(traffic.filter(t => t.revision && t.percent > 0).map(t => t.revision))];
+      if (revisionNames.length === 0 && service.latestReadyRevision) {
+        revisionNames = [GCPClient.getRevisionName(service.latestReadyRevision)];
+      }
+    }
+
+    spinner.text = `Fetching ${revisionNames.length} revision(s)...`;
+    revisions = (await Promise.all(revisionNames.map(name => gcpClient.getRevision(serviceName, name))))
+      .filter(Boolean)
+      .map(describeRevision);
+
+    spinner.succeed('Deployment fetched');
+  } catch (error) {
+    if (error instanceof CommandError) {
+      throw error;
+    }
+
+    spinner.fail('Failed to fetch deployment');
+    console.error(chalk.red(`\nError: ${error.message}`));
+
+    if (error.message.includes('403')) {
+      log(chalk.yellow('\nMake sure you have the necessary permissions:'));
+      log(chalk.gray('  - Cloud Run Viewer'));
+    }
+
+    log();
+
+    throw new CommandError(error.message, getExitCode(error), { reported: true });
+  }
+
+  const result = {
+    serviceName,
+    tag,
+    url: tag ? traffic.find(t => t.tag === tag)?.url || null : GCPClient.getServiceUrl(service),
+    region: config.region,
+    updatedAt: toISOString(service.updateTime),
+    lastModifier: service.lastModifier || null,
+    latestReadyRevision: GCPClient.getRevisionName(service.latestReadyRevision),
+    latestCreatedRevision: GCPClient.getRevisionName(service.latestCreatedRevision),
+    conditions: describeConditions([service.terminalCondition, ...(service.conditions || [])]),
+    traffic,
+    revisions,
+    history: findHistoryEntry(serviceName, tag, revisions.map(revision => revision.name))
+  };
+
+  // Service overview
+  log(chalk.bold(`\n${serviceName}${tag ? ` (tag ${tag})` : ''}`));
+  log(chalk.gray(`  URL:             ${result.url || 'N/A'}`));
+  log(chalk.gray(`  Region:          ${result.region}`));
+  log(chalk.gray(`  Updated:         ${formatDate(result.updatedAt)}${result.lastModifier ? ` by ${result.lastModifier}` : ''}`));
+  log(chalk.gray(`  Latest ready:    ${result.latestReadyRevision || 'N/A'}`));
+  if (result.latestCreatedRevision !== result.latestReadyRevision) {
+    log(chalk.yellow(`  Latest created:  ${result.latestCreatedRevision} (not ready)`));
+  }
+  log(chalk.gray('  Conditions:'));
+  printConditions(result.conditions, '    ');
+
+  // Traffic
+  log(chalk.bold('\nTraffic'));
+  for (const target of traffic) {
+    const label = `${target.revision || 'latest'}${target.latest ? ' (latest)' : ''}`;
+    log(chalk.gray(`  ${String(target.percent).padStart(3)}%  ${label}${target.tag ? `  tag ${target.tag} → ${target.url}` : ''}`));
+  }
+
+  // Revisions
+  log(chalk.bold(`\nRevision${revisions.length === 1 ? '' : 's'}`));
+  revisions.forEach(revision => printRevision(revision, traffic));
+
+  // Local history
+  if (result.history) {
+    const entry = result.history;
+    log(chalk.bold('History'));
+    log(chalk.gray(`  ${entry.id}  ${entry.type}  ${entry.branch}  ${formatDate(entry.timestamp)}${entry.rollback ? '  (rollback)' : ''}`));
+    log(chalk.gray('  Run'), chalk.cyan(`gcp-deploy history ${entry.id}`), chalk.gray('for timings and health checks.\n'));
+  } else {
+    log(chalk.yellow('Not found in local deployment history.\n'));
+  }
+
+  return result;
+}
@@ -1,130 +1,454 @@
+import fs from 'fs';
 import chalk from 'chalk';
-import ora from 'ora';
-import { readProjectConfig, isProjectInitialized, getDeployment } from '../lib/config.js';
+import { requireProjectConfig, getDeployment, readDeploymentHistory, isSucceededDeployment } from '../lib/config.js';
 import { GCPClient } from '../lib/gcp-client.js';
+import { parseTaggedPreview } from '../lib/cloud-run.js';
+import { CommandError, ExitCode, getExitCode } from '../lib/errors.js';
+import { createSpinner, isJsonMode, writeJson, log } from '../lib/output.js';
+import { parseLogOptions, buildLogFilter, getLogSource, findLogTarget, DEFAULT_LOG_LIMIT } from '../lib/logs.js';
+
+const LOG_FORMATS = ['ndjson', 'text', 'csv'];
+
+const CSV_COLUMNS = [
+  'timestamp', 'severity', 'source', 'revision', 'message',
+  'method', 'url', 'status', 'latencyMs', 'responseSize', 'payload', 'labels', 'deployment'
+];
+
+// Deployment labels cycle through these when showing several deployments
+const LABEL_COLORS = ['cyan', 'magenta', 'green', 'yellow', 'blue', 'cyanBright', 'magentaBright', 'greenBright'];
 
 /**
  * Get color for log severity
  */
-function getSeverityColor(severity) {
+function getSeverityColor(severity, colors = chalk) {
   switch (severity?.toUpperCase()) {
     case 'DEBUG':
-      return chalk.gray;
+      return colors.gray;
     case 'INFO':
-      return chalk.blue;
+      return colors.blue;
     case 'WARNING':
-      return chalk.yellow;
+      return colors.yellow;
     case 'ERROR':
-      return chalk.red;
+      return colors.red;
     case 'CRITICAL':
-      return chalk.red.bold;
+      return colors.red.bold;
     default:
-      return chalk.white;
+      return colors.white;
+  }
+}
+
+/**
+ * Convert a protobuf Duration (or "0.25s" string) to milliseconds
+ */
+function toMilliseconds(duration) {
+  if (!duration) return null;
+  if (typeof duration === 'string') return Math.round(parseFloat(duration) * 1000);
+  return Math.round(Number(duration.seconds || 0) * 1000 + (duration.nanos || 0) / 1e6);
+}
+
+/**
+ * Format a byte count, e.g. "512B" or "1.2KB"
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+/**
+ * Convert a Cloud Logging entry to a plain record
+ *
+ * Request log entries get `request`; structured (jsonPayload) entries keep
+ * their other fields in `payload`. deployment is the name the entry's
+ * deployment was asked for by (a service or <tag>---<service>).
+ */
+function toLogRecord(entry, deployment = null) {
+  const { metadata = {}, data } = entry;
+  const record = {
+    timestamp: new Date(metadata.timestamp || new Date()).toISOString(),
+    deployment: deployment || metadata.resource?.labels?.service_name || null,
+    severity: metadata.severity || 'DEFAULT',
+    source: getLogSource(entry),
+    revision: metadata.resource?.labels?.revision_name || null,
+    message: ''
+  };
+
+  if (metadata.httpRequest) {
+    const request = metadata.httpRequest;
+    record.request = {
+      method: request.requestMethod || null,
+      url: request.requestUrl || null,
+      status: request.status || null,
+      latencyMs: toMilliseconds(request.latency),
+      responseSize: request.responseSize !== undefined && request.responseSize !== null ? Number(request.responseSize) : null,
+      userAgent: request.userAgent || null,
+      remoteIp: request.remoteIp || null
+    };
+  }
+
+  if (typeof data === 'string') {
+    record.message = data;
+  } else if (data && typeof data === 'object') {
+    const { message, msg, ...payload } = data;
+    record.message = String(message ?? msg ?? '');
+    if (Object.keys(payload).length > 0) {
+      record.payload = payload;
+    }
+  }
+
+  if (metadata.labels && Object.keys(metadata.labels).length > 0) {
+    record.labels = metadata.labels;
+  }
+
+  return record;
+}
+
+/**
+ * Format a request log record as method, path, status, latency and size
+ */
+function formatRequest({ method, url, status, latencyMs, responseSize }, colors = chalk) {
+  let path = url || '';
+  try {
+    const parsed = new URL(url);
+    path = `${parsed.pathname}${parsed.search}`;
+  } catch (error) {
+    // Keep the raw value
   }
+
+  const statusColor = status >= 500 ? colors.red : status >= 400 ? colors.yellow : colors.green;
+  const parts = [colors.bold(method || '-'), path, statusColor(status ?? '-')];
+  if (latencyMs !== null) parts.push(colors.gray(`${latencyMs}ms`));
+  if (responseSize !== null) parts.push(colors.gray(formatBytes(responseSize)));
+
+  return parts.join(' ');
 }
 
 /**
  * Format log entry for display
+ *
+ * Multi-line messages (stack traces), structured payloads and labels are
+ * printed indented below the first line. Files get plain text (colors is a
+ * level 0 chalk instance) and full timestamps. label ({ text, color }) is
+ * prefixed to each entry when several deployments are shown.
  */
-function formatLogEntry(entry) {
-  const timestamp = entry.metadata?.timestamp || new Date();
-  const severity = entry.metadata?.severity || 'INFO';
-  const message = entry.data?.message || entry.data?.textPayload || JSON.stringify(entry.data);
+function formatLogEntry(entry, { colors = chalk, fullTimestamp = false, label = null } = {}) {
+  const record = toLogRecord(entry);
 
-  const timeStr = new Date(timestamp).toLocaleTimeString();
-  const colorFn = getSeverityColor(severity);
+  const timeStr = fullTimestamp ? record.timestamp : new Date(record.timestamp).toLocaleTimeString();
+  const colorFn = getSeverityColor(record.severity, colors);
+  const severity = record.severity.padEnd(8);
+  const source = `[${record.source}]`.padEnd(10);
+  const labelStr = label ? `${colors[label.color](label.text)} ` : '';
+  const prefix = `${labelStr}${colors.gray(timeStr)} ${colorFn(severity)} ${colors.gray(source)}`;
+  const indent = ' '.repeat(`${label ? `${label.text} ` : ''}${timeStr} ${severity} ${source} `.length);
+
+  const [firstLine, ...rest] = record.request
+    ? [formatRequest(record.request, colors), ...(record.message ? record.message.split('\n') : [])]
+    : record.message.split('\n');
+  const lines = [`${prefix} ${firstLine}`];
+
+  rest.forEach(line => lines.push(`${indent}${line}`));
+
+  if (record.payload) {
+    JSON.stringify(record.payload, null, 2).split('\n').forEach(line => lines.push(colors.gray(`${indent}${line}`)));
+  }
+
+  if (record.labels) {
+    const labels = Object.entries(record.labels).map(([key, value]) => `${key}=${value}`).join(' ');
+    lines.push(colors.gray(`${indent}${labels}`));
+  }
 
-  return `${chalk.gray(timeStr)} ${colorFn(severity.padEnd(8))} ${message}`;
+  return lines.join('\n');
 }
 
 /**
- * Logs command handler
+ * Pick the export format from --format, else the file extension (ndjson by default)
  */
-export async function logsCommand(options) {
-  console.log(chalk.bold.blue('\nGCP Deploy - Stream Logs\n'));
+function resolveLogFormat(file, format) {
+  if (format) {
+    if (!LOG_FORMATS.includes(format)) {
+      throw new CommandError(`--format must be one of: ${LOG_FORMATS.join(', ')}`, ExitCode.USAGE);
+    }
+    return format;
+  }
+
+  if (/\.csv$/i.test(file)) return 'csv';
+  if (/\.(txt|log)$/i.test(file)) return 'text';
+  return 'ndjson';
+}
+
+/**
+ * Quote values for one CSV row; objects are written as JSON
+ */
+function toCsvRow(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * Open a file to export log entries to, returning { write(entry, { deployment, label }), close() }
+ *
+ * Follow mode appends, so the CSV header is only written to an empty file.
+ * Text output has no ANSI colors.
+ */
+function createLogWriter(file, format, { append = false } = {}) {
+  let fd;
+  try {
+    fd = fs.openSync(file, append ? 'a' : 'w');
+  } catch (error) {
+    throw new CommandError(`Cannot write logs to ${file}: ${error.message}`, ExitCode.USAGE);
+  }
 
-  // Check if project is initialized
-  if (!isProjectInitialized()) {
-    console.log(chalk.red('Error: Project not initialized.'));
-    console.log(chalk.gray('Run'), chalk.cyan('gcp-deploy init'), chalk.gray('first.'));
-    return;
+  const stream = fs.createWriteStream(null, { fd });
+  const plain = new chalk.Instance({ level: 0 });
+  let streamError = null;
+  stream.on('error', (error) => {
+    streamError = error;
+  });
+
+  if (format === 'csv' && fs.fstatSync(fd).size === 0) {
+    stream.write(`${CSV_COLUMNS.join(',')}\n`);
   }
 
-  // Read project config
-  const config = readProjectConfig();
+  return {
+    write(entry, { deployment = null, label = null } = {}) {
+      const record = toLogRecord(entry, deployment);
 
-  // Determine which deployment to show logs for
-  let serviceName;
+      if (format === 'ndjson') {
+        stream.write(`${JSON.stringify(record)}\n`);
+      } else if (format === 'text') {
+        stream.write(`${formatLogEntry(entry, { colors: plain, fullTimestamp: true, label })}\n`);
+      } else {
+        const request = record.request || {};
+        stream.write(`${toCsvRow([
+          record.timestamp, record.severity, record.source, record.revision, record.message,
+          request.method, request.url, request.status, request.latencyMs, request.responseSize,
+          record.payload, record.labels, record.deployment
+        ])}\n`);
+      }
+    },
 
-  if (options.deployment) {
-    serviceName = options.deployment;
-    console.log(chalk.gray(`Showing logs for: ${serviceName}`));
-  } else {
+    close() {
+      return new Promise((resolve, reject) => {
+        stream.end(() => (streamError ? reject(streamError) : resolve()));
+      });
+    }
+  };
+}
+
+/**
+ * Work out which deployments to show logs for, as [{ name, serviceName, revision }]
+ *
+ * Names come from --deployment, --branch and --all-previews (previews are
+ * read from local history), defaulting to production. Tagged previews
+ * (<tag>---<service>) are narrowed to the revision behind their tag.
+ */
+async function resolveLogTargets(config, options, gcpClient) {
+  const names = (options.deployment || [])
+    .flatMap(value => value.split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (options.branch || options.allPreviews) {
+    const previews = readDeploymentHistory().deployments
+      .filter(d => d.type === 'preview' && isSucceededDeployment(d))
+      .filter(d => options.allPreviews || d.branch === options.branch);
+
+    if (previews.length === 0) {
+      const scope = options.allPreviews ? '' : ` for branch ${options.branch}`;
+      throw new CommandError(`No preview deployments found${scope} in local history. Run \`gcp-deploy list\` to see deployments.`, ExitCode.NOT_FOUND);
+    }
+
+    names.push(...previews.map(d => (d.tag ? `${d.tag}---${d.serviceName}` : d.serviceName)));
+  }
+
+  if (names.length === 0) {
     // Default to production deployment
-    serviceName = config.serviceName;
-    console.log(chalk.gray(`Showing logs for production deployment: ${serviceName}`));
+    if (!getDeployment(config.serviceName)) {
+      throw new CommandError('No production deployment found. Specify a deployment with --deployment <service-name>.', ExitCode.NOT_FOUND);
+    }
+    names.push(config.serviceName);
+  }
+
+  // Tags are looked up once per service
+  const trafficByService = new Map();
+  const targets = [];
+
+  for (const name of new Set(names)) {
+    const tagged = parseTaggedPreview(name);
+    if (!tagged) {
+      targets.push({ name, serviceName: name, revision: null });
+      continue;
+    }
+
+    if (!trafficByService.has(tagged.serviceName)) {
+      trafficByService.set(tagged.serviceName, await gcpClient.getTrafficSplit(tagged.serviceName));
+    }
+
+    const target = trafficByService.get(tagged.serviceName).find(t => t.tag === tagged.tag);
+    if (!target?.revision) {
+      throw new CommandError(`Tag ${tagged.tag} not found on ${tagged.serviceName}.`, ExitCode.NOT_FOUND);
+    }
+    targets.push({ name, serviceName: tagged.serviceName, revision: target.revision });
   }
 
-  // Check if deployment exists in history
-  const deployment = getDeployment(serviceName);
-  if (!deployment && !options.deployment) {
-    console.log(chalk.yellow('\nNo production deployment found.'));
-    console.log(chalk.gray('Specify a deployment with --deployment <service-name>\n'));
-    return;
+  return targets;
+}
+
+/**
+ * Logs command handler
+ */
+export async function logsCommand(options) {
+  log(chalk.bold.blue('\nGCP Deploy - Stream Logs\n'));
+
+  // Read project config
+  const config = requireProjectConfig();
+  const query = parseLogOptions(options);
+
+  if (options.format && !options.output) {
+    throw new CommandError('--format needs --output <file>', ExitCode.USAGE);
   }
+  const format = options.output ? resolveLogFormat(options.output, options.format) : null;
+
+  // Determine which deployments to show logs for
+  const gcpClient = new GCPClient(config.projectId, config.region);
+  const targets = await resolveLogTargets(config, options, gcpClient);
+  const names = targets.map(target => target.name);
+  const multiple = targets.length > 1;
+
+  if (multiple) {
+    log(chalk.gray(`Showing logs for ${targets.length} deployments: ${names.join(', ')}`));
+  } else if (options.deployment || options.branch || options.allPreviews) {
+    log(chalk.gray(`Showing logs for: ${names[0]}`));
+  } else {
+    log(chalk.gray(`Showing logs for production deployment: ${names[0]}`));
+  }
+
+  // One query for all deployments keeps the merged stream in time order;
+  // each entry is matched back to its deployment for its label
+  const labelWidth = Math.max(...names.map(name => name.length));
+  targets.forEach((target, index) => {
+    target.color = LABEL_COLORS[index % LABEL_COLORS.length];
+  });
+
+  const describeEntry = (entry) => {
+    const target = findLogTarget(entry, targets);
+    const deployment = target?.name || entry.metadata?.resource?.labels?.service_name || null;
+    const label = multiple ? { text: (deployment || '?').padEnd(labelWidth), color: target?.color || 'white' } : null;
+    return { deployment, label };
+  };
 
   const follow = options.follow || false;
+  const filter = buildLogFilter(targets, config.region, query);
+  const serviceName = multiple ? null : names[0];
+
+  // Follow mode only fetches earlier entries when asked for with --limit or
+  // --since; exports page through the whole window
+  const backfill = !follow || Boolean(query.since);
+  const limit = query.limit ?? (backfill ? (options.output ? Infinity : DEFAULT_LOG_LIMIT) : null);
 
-  if (follow) {
-    console.log(chalk.gray('Following logs (Ctrl+C to stop)...\n'));
+  if (options.output) {
+    log(chalk.gray(`${follow ? 'Appending' : 'Writing'} ${format} logs to ${options.output}${follow ? ' (Ctrl+C to stop)' : ''}...\n`));
+  } else if (follow) {
+    log(chalk.gray('Following logs (Ctrl+C to stop)...\n'));
   } else {
-    console.log(chalk.gray('Fetching recent logs...\n'));
+    log(chalk.gray('Fetching recent logs...\n'));
   }
 
-  const spinner = ora('Connecting to Cloud Logging...').start();
+  const writer = options.output ? createLogWriter(options.output, format, { append: follow }) : null;
+  const spinner = createSpinner('Connecting to Cloud Logging...').start();
+  const entries = [];
+  let count = 0;
 
-  try {
-    const gcpClient = new GCPClient(config.projectId, config.region);
+  // Rejected if following stops on an error that reconnecting cannot fix
+  let stopFollowing;
+  const followFailed = new Promise((resolve, reject) => {
+    stopFollowing = reject;
+  });
 
-    // Stream logs
+  try {
+    // Stream logs; in JSON mode followed entries are written as one JSON object per line
     const cleanup = await gcpClient.streamLogs(
-      serviceName,
+      filter,
       (entry) => {
+        const { deployment, label } = describeEntry(entry);
+
+        if (writer) {
+          writer.write(entry, { deployment, label });
+          count++;
+          spinner.text = `${follow ? 'Appended' : 'Exported'} ${count} entries to ${options.output}`;
+          return;
+        }
+
         spinner.stop();
-        console.log(formatLogEntry(entry));
+        if (!isJsonMode()) {
+          log(formatLogEntry(entry, { label }));
+        } else if (follow) {
+          writeJson(toLogRecord(entry, deployment), { pretty: false });
+        } else {
+          entries.push(toLogRecord(entry, deployment));
+        }
       },
-      follow
+      {
+        follow,
+        limit,
+        poll: options.poll,
+        onNotice: (message) => {
+          spinner.stop();
+          log(chalk.yellow(message));
+        },
+        onError: (error) => stopFollowing(error)
+      }
     );
 
-    if (!follow) {
+    if (!follow && writer) {
+      await writer.close();
+      spinner.succeed(`Exported ${count} entries to ${options.output}`);
+      log();
+      return { serviceName, deployments: names, filter, output: options.output, format, count };
+    } else if (!follow) {
       spinner.succeed('Logs fetched');
-      console.log();
+      log();
+      return { serviceName, deployments: names, filter, entries };
     } else {
       spinner.succeed('Connected to Cloud Logging');
+      if (writer) {
+        spinner.start(`Appended ${count} entries to ${options.output}`);
+      }
 
-      // Handle Ctrl+C gracefully
+      // Handle Ctrl+C gracefully, flushing the export file first
       process.on('SIGINT', () => {
-        console.log(chalk.yellow('\n\nStopping log stream...'));
+        spinner.stop();
+        log(chalk.yellow('\n\nStopping log stream...'));
         if (cleanup) cleanup();
-        process.exit(0);
+        Promise.resolve(writer?.close()).finally(() => process.exit(0));
       });
 
-      // Keep the process running
-      await new Promise(() => {}); // Never resolves
+      // Keep the process running until Ctrl+C
+      await followFailed;
     }
 
   } catch (error) {
+    await writer?.close().catch(() => {});
     spinner.fail('Failed to fetch logs');
     console.error(chalk.red(`\nError: ${error.message}`));
 
     if (error.message.includes('403')) {
-      console.log(chalk.yellow('\nMake sure you have the necessary permissions:'));
-      console.log(chalk.gray('  - Logs Viewer'));
+      log(chalk.yellow('\nMake sure you have the necessary permissions:'));
+      log(chalk.gray('  - Logs Viewer'));
     } else if (error.message.includes('404')) {
-      console.log(chalk.yellow('\nMake sure the Cloud Logging API is enabled:'));
-      console.log(chalk.cyan('  gcloud services enable logging.googleapis.com'));
+      log(chalk.yellow('\nMake sure the Cloud Logging API is enabled:'));
+      log(chalk.cyan('  gcloud services enable logging.googleapis.com'));
+    } else if (error.message.includes('INVALID_ARGUMENT') && options.filter) {
+      log(chalk.yellow('\nCheck the --filter value, it must be Cloud Logging query syntax:'));
+      log(chalk.cyan('  https://cloud.google.com/logging/docs/view/logging-query-language'));
     }
 
-    console.log();
+    log();
+
+    const exitCode = error.message.includes('INVALID_ARGUMENT') ? ExitCode.USAGE : getExitCode(error);
+    throw new CommandError(error.message, exitCode, { reported: true });
   }
 }
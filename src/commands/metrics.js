@@ -0,0 +1,204 @@
+import chalk from 'chalk';
+import { requireProjectConfig, getDeployment } from '../lib/config.js';
+import { GCPClient } from '../lib/gcp-client.js';
+import { parseTaggedPreview } from '../lib/cloud-run.js';
+import { parseTime, formatAge } from '../lib/duration.js';
+import { CommandError, ExitCode, getExitCode } from '../lib/errors.js';
+import { createSpinner, isJsonMode, writeJson, log } from '../lib/output.js';
+import {
+  METRICS,
+  METRIC_QUERIES,
+  DEFAULT_METRICS_WINDOW,
+  buildMetricFilter,
+  getAlignmentPeriod,
+  parseWatchInterval,
+  summarizeMetrics,
+  sparkline
+} from '../lib/metrics.js';
+
+/**
+ * Format a metric value with its unit, or "-" without data
+ */
+function formatValue(value, unit) {
+  if (value === null || value === undefined) return '-';
+
+  switch (unit) {
+    case 'req/s':
+      return `${value < 10 ? value.toFixed(2) : value.toFixed(1)} req/s`;
+    case '%':
+      return `${value.toFixed(1)}%`;
+    case 'ms':
+      return `${Math.round(value)}ms`;
+    default:
+      return Number.isInteger(value) ? String(value) : value.toFixed(1);
+  }
+}
+
+/**
+ * Color a metric's latest value: 5xx above 1% and utilization above 80% stand out
+ */
+function getValueColor(id, value) {
+  if (value === null) return chalk.gray;
+  if (id === 'errorRate') return value > 1 ? chalk.red : value > 0 ? chalk.yellow : chalk.green;
+  if ((id === 'cpu' || id === 'memory') && value > 80) return chalk.yellow;
+  return chalk.white;
+}
+
+/**
+ * Resolve the deployment to { serviceName, tag, revision }
+ *
+ * Tagged previews (<tag>---<service>) are narrowed to the revision behind
+ * their tag. Defaults to production.
+ */
+async function resolveTarget(config, deploymentName, gcpClient) {
+  if (!deploymentName) {
+    if (!getDeployment(config.serviceName)) {
+      throw new CommandError('No production deployment found. Specify a deployment: gcp-deploy metrics <deployment>.', ExitCode.NOT_FOUND);
+    }
+    return { serviceName: config.serviceName, tag: null, revision: null };
+  }
+
+  const tagged = parseTaggedPreview(deploymentName.toLowerCase());
+  if (!tagged) {
+    return { serviceName: deploymentName.toLowerCase(), tag: null, revision: null };
+  }
+
+  const target = (await gcpClient.getTrafficSplit(tagged.serviceName)).find(t => t.tag === tagged.tag);
+  if (!target?.revision) {
+    throw new CommandError(`Tag ${tagged.tag} not found on ${tagged.serviceName}.`, ExitCode.NOT_FOUND);
+  }
+
+  return { serviceName: tagged.serviceName, tag: tagged.tag, revision: target.revision };
+}
+
+/**
+ * Query every metric for the window ending now
+ */
+async function fetchMetrics(gcpClient, target, region, since) {
+  const endTime = new Date();
+  const startTime = parseTime(since, endTime.getTime());
+  const alignmentPeriod = getAlignmentPeriod(startTime, endTime);
+
+  const ids = Object.keys(METRIC_QUERIES);
+  const results = await Promise.all(ids.map(id => {
+    const { type, ...aggregation } = METRIC_QUERIES[id];
+    return gcpClient.listTimeSeries(buildMetricFilter(type, target, region), { startTime, endTime, alignmentPeriod, ...aggregation });
+  }));
+
+  return {
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    alignmentPeriod,
+    metrics: summarizeMetrics(Object.fromEntries(ids.map((id, index) => [id, results[index]])))
+  };
+}
+
+/**
+ * Print the metrics table with a sparkline per metric
+ */
+function printMetrics(name, snapshot, since) {
+  log(chalk.bold(`${name}`), chalk.gray(`last ${since}, ${formatAge(snapshot.alignmentPeriod * 1000)} points, as of ${new Date(snapshot.endTime).toLocaleTimeString()}\n`));
+  log(chalk.gray(`  ${'Metric'.padEnd(13)} ${'Latest'.padEnd(12)} ${'Average'.padEnd(12)} ${'Peak'.padEnd(12)} Trend`));
+
+  for (const { id, label, unit } of METRICS) {
+    const metric = snapshot.metrics[id];
+    const latest = formatValue(metric.latest, unit).padEnd(12);
+
+    log(
+      `  ${label.padEnd(13)}`,
+      getValueColor(id, metric.latest)(latest),
+      formatValue(metric.average, unit).padEnd(12),
+      formatValue(metric.peak, unit).padEnd(12),
+      chalk.cyan(sparkline(metric.points.map(point => point.value))) || chalk.gray('no data')
+    );
+  }
+  log();
+}
+
+/**
+ * Metrics command handler
+ */
+export async function metricsCommand(deploymentName, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Metrics\n'));
+
+  const config = requireProjectConfig();
+  const since = options.since || DEFAULT_METRICS_WINDOW;
+
+  const start = parseTime(since);
+  if (!start || start >= new Date()) {
+    throw new CommandError(`Invalid --since value "${since}". Use a duration like 1h or a past date like 2024-01-15T10:00:00Z.`, ExitCode.USAGE);
+  }
+
+  const interval = options.watch ? parseWatchInterval(options.interval) : null;
+  if (options.watch && !interval) {
+    throw new CommandError('--interval must be a number of seconds (at least 1) or a duration like 30s', ExitCode.USAGE);
+  }
+
+  const gcpClient = new GCPClient(config.projectId, config.region);
+  const target = await resolveTarget(config, deploymentName, gcpClient);
+  const name = target.tag ? `${target.tag}---${target.serviceName}` : target.serviceName;
+
+  const spinner = createSpinner('Querying Cloud Monitoring...').start();
+  let snapshot;
+
+  try {
+    snapshot = await fetchMetrics(gcpClient, target, config.region, since);
+    spinner.stop();
+  } catch (error) {
+    spinner.fail('Failed to fetch metrics');
+    console.error(chalk.red(`\nError: ${error.message}`));
+
+    if (error.message.includes('403')) {
+      log(chalk.yellow('\nMake sure you have the necessary permissions:'));
+      log(chalk.gray('  - Monitoring Viewer'));
+    } else if (error.message.includes('404')) {
+      log(chalk.yellow('\nMake sure the Cloud Monitoring API is enabled:'));
+      log(chalk.cyan('  gcloud services enable monitoring.googleapis.com'));
+    }
+
+    log();
+
+    throw new CommandError(error.message, getExitCode(error), { reported: true });
+  }
+
+  const toResult = current => ({ serviceName: target.serviceName, tag: target.tag, revision: target.revision, since, ...current });
+  printMetrics(name, snapshot, since);
+
+  if (!options.watch) {
+    return toResult(snapshot);
+  }
+
+  // In JSON mode each refresh is written as one JSON object per line
+  if (isJsonMode()) {
+    writeJson(toResult(snapshot), { pretty: false });
+  }
+  log(chalk.gray(`Refreshing every ${interval / 1000}s (Ctrl+C to stop)...\n`));
+
+  process.on('SIGINT', () => {
+    log(chalk.yellow('\nStopped watching metrics.'));
+    process.exit(0);
+  });
+
+  // Keep refreshing until Ctrl+C; a failed refresh is retried next time
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, interval));
+
+    try {
+      snapshot = await fetchMetrics(gcpClient, target, config.region, since);
+    } catch (error) {
+      log(chalk.yellow(`Refresh failed, retrying in ${interval / 1000}s: ${error.message}`));
+      continue;
+    }
+
+    if (isJsonMode()) {
+      writeJson(toResult(snapshot), { pretty: false });
+    } else {
+      if (process.stdout.isTTY) {
+        console.clear();
+        log(chalk.bold.blue('\nGCP Deploy - Metrics\n'));
+      }
+      printMetrics(name, snapshot, since);
+      log(chalk.gray(`Refreshing every ${interval / 1000}s (Ctrl+C to stop)...\n`));
+    }
+  }
+}
@@ -0,0 +1,168 @@
+import chalk from 'chalk';
+import { requireProjectConfig } from '../lib/config.js';
+import { GCPClient } from '../lib/gcp-client.js';
+import { fetchDeployments, deletePreview, selectStalePreviews } from '../lib/deployments.js';
+import { getMergedBranches } from '../lib/git.js';
+import { reportPreviewRemoved } from '../lib/github.js';
+import { parseDuration, formatAge } from '../lib/duration.js';
+import { CommandError, ExitCode, getExitCode } from '../lib/errors.js';
+import { createSpinner, confirm, log } from '../lib/output.js';
+
+/**
+ * Turn prune options into selection criteria, falling back to previews.ttl
+ */
+function resolveCriteria(config, options) {
+  const criteria = {};
+
+  if (options.olderThan !== undefined) {
+    criteria.olderThan = parseDuration(options.olderThan);
+    if (criteria.olderThan === null) {
+      throw new CommandError(`Invalid --older-than value "${options.olderThan}". Use a duration like 7d, 12h or 2w.`, ExitCode.USAGE);
+    }
+  }
+
+  if (options.keepLatest !== undefined) {
+    criteria.keepLatest = Number(options.keepLatest);
+    if (!Number.isInteger(criteria.keepLatest) || criteria.keepLatest < 0) {
+      throw new CommandError('--keep-latest must be a non-negative integer', ExitCode.USAGE);
+    }
+  }
+
+  if (options.merged) {
+    criteria.mergedBranches = getMergedBranches(options.base);
+  }
+
+  if (criteria.olderThan === undefined && !options.merged && criteria.keepLatest === undefined) {
+    if (!config.previews?.ttl) {
+      throw new CommandError('Specify --older-than, --merged or --keep-latest, or set previews.ttl in gcp-deploy.json', ExitCode.USAGE);
+    }
+    criteria.olderThan = parseDuration(config.previews.ttl);
+  }
+
+  return criteria;
+}
+
+/**
+ * Remove previews older than the configured TTL, ignoring failures
+ *
+ * Called after a successful deploy; never throws.
+ */
+export async function pruneExpiredPreviews(config, exclude = null) {
+  const olderThan = parseDuration(config.previews?.ttl);
+  if (olderThan === null) return [];
+
+  const removed = [];
+
+  try {
+    const { preview } = fetchDeployments(config);
+    const stale = selectStalePreviews(preview.filter(deployment => deployment.managed), { olderThan })
+      .filter(deployment => deployment.serviceName !== exclude);
+    const gcpClient = new GCPClient(config.projectId, config.region);
+
+    for (const deployment of stale) {
+      try {
+        const removedEntries = await deletePreview(gcpClient, deployment);
+        await reportPreviewRemoved(config, deployment.serviceName, removedEntries);
+        removed.push(deployment.serviceName);
+      } catch (error) {
+        // Leave it for the next deploy or an explicit prune
+      }
+    }
+  } catch (error) {
+    // Listing failed; cleanup is best effort
+  }
+
+  return removed;
+}
+
+/**
+ * Prune command handler
+ */
+export async function pruneCommand(options) {
+  log(chalk.bold.blue('\nGCP Deploy - Prune Previews\n'));
+
+  // Read project config
+  const config = requireProjectConfig();
+  const criteria = resolveCriteria(config, options);
+
+  const spinner = createSpinner('Fetching previews...').start();
+  let stale;
+  let unmanaged;
+
+  try {
+    const { preview } = fetchDeployments(config);
+    unmanaged = preview.filter(deployment => !deployment.managed);
+    stale = selectStalePreviews(preview.filter(deployment => deployment.managed), criteria);
+    spinner.succeed(`Found ${preview.length - unmanaged.length} preview(s)`);
+  } catch (error) {
+    spinner.fail('Failed to fetch previews');
+    throw new CommandError(error.message, getExitCode(error));
+  }
+
+  // Services that only share the name prefix (e.g. a worker) are not previews
+  if (unmanaged.length > 0) {
+    log(chalk.gray(`Skipping ${unmanaged.length} deployment(s) not created by gcp-deploy: ${unmanaged.map(deployment => deployment.serviceName).join(', ')}`));
+  }
+
+  const result = {
+    dryRun: Boolean(options.dryRun),
+    skipped: unmanaged.map(deployment => deployment.serviceName),
+    previews: stale.map(deployment => ({
+      serviceName: deployment.serviceName,
+      branch: deployment.branch,
+      updatedAt: deployment.updatedAt || null,
+      status: 'pending'
+    }))
+  };
+
+  if (stale.length === 0) {
+    log(chalk.green('\nNothing to prune.\n'));
+    return result;
+  }
+
+  log(chalk.bold(`\n${options.dryRun ? 'Would remove' : 'Removing'} ${stale.length} preview(s):\n`));
+  stale.forEach(deployment => {
+    const age = deployment.updatedAt ? formatAge(Date.now() - new Date(deployment.updatedAt).getTime()) : 'unknown age';
+    log(`  ${chalk.bold(deployment.serviceName)}  ${chalk.gray(`${deployment.branch}, ${age}`)}`);
+  });
+  log();
+
+  if (options.dryRun) {
+    log(chalk.gray('Dry run, nothing was removed.\n'));
+    return result;
+  }
+
+  // Confirmation
+  await confirm(`Delete ${stale.length} preview(s)?`, { yes: options.yes, cancelMessage: 'Prune cancelled.' });
+
+  const gcpClient = new GCPClient(config.projectId, config.region);
+  let failed = 0;
+  let commentsUpdated = 0;
+
+  for (const [index, deployment] of stale.entries()) {
+    spinner.start(`Removing ${deployment.serviceName}...`);
+    try {
+      const removedEntries = await deletePreview(gcpClient, deployment);
+      commentsUpdated += await reportPreviewRemoved(config, deployment.serviceName, removedEntries);
+      result.previews[index].status = 'removed';
+      spinner.succeed(`Removed ${deployment.serviceName}`);
+    } catch (error) {
+      failed++;
+      result.previews[index].status = 'failed';
+      result.previews[index].error = error.message;
+      spinner.fail(`${deployment.serviceName}: ${error.message}`);
+    }
+  }
+
+  if (commentsUpdated > 0) {
+    log(chalk.gray(`\nUpdated ${commentsUpdated} pull request comment(s).`));
+  }
+
+  if (failed > 0) {
+    log(chalk.yellow(`\n${failed} preview(s) could not be removed.\n`));
+    throw new CommandError(`${failed} preview(s) could not be removed`, ExitCode.ERROR, { reported: true });
+  }
+
+  log(chalk.green(`\n✓ Pruned ${stale.length} preview(s)\n`));
+  return result;
+}
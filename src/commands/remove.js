@@ -1,67 +1,112 @@
 import chalk from 'chalk';
-import prompts from 'prompts';
-import ora from 'ora';
-import { readProjectConfig, isProjectInitialized, removeDeployment, getDeployment } from '../lib/config.js';
+import {
+  requireProjectConfig,
+  removeDeployment,
+  removeTaggedPreview,
+  getDeployment
+} from '../lib/config.js';
 import { GCPClient } from '../lib/gcp-client.js';
+import { parseTaggedPreview } from '../lib/cloud-run.js';
+import { reportPreviewRemoved } from '../lib/github.js';
+import { CommandError, ExitCode, getExitCode } from '../lib/errors.js';
+import { createSpinner, confirm, log } from '../lib/output.js';
+
+/**
+ * Mark the preview as removed in the pull request comments showing it
+ */
+async function updatePullRequestComments(config, deploymentName, removedEntries) {
+  const updated = await reportPreviewRemoved(config, deploymentName, removedEntries);
+  if (updated > 0) {
+    log(chalk.gray(`Updated ${updated} pull request comment(s).`));
+  }
+}
+
+/**
+ * Remove a tagged preview by dropping its revision tag
+ */
+async function removeTaggedPreviewDeployment(config, deploymentName, tagged, options) {
+  const deployment = getDeployment(tagged.serviceName, process.cwd(), tagged.tag);
+
+  log(chalk.gray(`Service: ${tagged.serviceName}`));
+  log(chalk.gray(`Tag: ${tagged.tag}`));
+  if (deployment) {
+    log(chalk.gray(`Branch: ${deployment.branch}`));
+    log(chalk.gray(`URL: ${deployment.url || 'N/A'}\n`));
+  } else {
+    log(chalk.yellow('Note: Preview not found in local history, but may exist in Cloud Run.\n'));
+  }
+
+  // Confirmation
+  await confirm('Are you sure you want to delete this preview?', { yes: options.yes, cancelMessage: 'Deletion cancelled.' });
+
+  const spinner = createSpinner('Removing preview tag...').start();
+
+  try {
+    const gcpClient = new GCPClient(config.projectId, config.region);
+    const split = await gcpClient.getTrafficSplit(tagged.serviceName);
+
+    const found = Boolean(split?.some(target => target.tag === tagged.tag));
+
+    if (!found) {
+      spinner.warn('Preview tag not found in Cloud Run');
+    } else {
+      // The revision itself stays until Cloud Run garbage-collects it
+      await gcpClient.removeTrafficTag(tagged.serviceName, tagged.tag);
+      spinner.succeed(`Removed tag ${tagged.tag} from ${tagged.serviceName}`);
+    }
+
+    const removedEntries = removeTaggedPreview(tagged.serviceName, tagged.tag);
+    await updatePullRequestComments(config, deploymentName, removedEntries);
+    log(chalk.green(`\n✓ Preview ${deploymentName} removed successfully!\n`));
+
+    return { serviceName: tagged.serviceName, tag: tagged.tag, removed: found };
+  } catch (error) {
+    spinner.fail('Failed to remove preview');
+    throw new CommandError(error.message, getExitCode(error));
+  }
+}
 
 /**
  * Remove command handler
  */
 export async function removeCommand(deploymentName, options) {
-  console.log(chalk.bold.blue('\nGCP Deploy - Remove Deployment\n'));
+  log(chalk.bold.blue('\nGCP Deploy - Remove Deployment\n'));
 
-  // Check if project is initialized
-  if (!isProjectInitialized()) {
-    console.log(chalk.red('Error: Project not initialized.'));
-    console.log(chalk.gray('Run'), chalk.cyan('gcp-deploy init'), chalk.gray('first.'));
-    return;
-  }
+  // Read project config
+  const config = requireProjectConfig();
 
   // Check if deployment name is provided
   if (!deploymentName) {
-    console.log(chalk.red('Error: Deployment name is required.'));
-    console.log(chalk.gray('Usage:'), chalk.cyan('gcp-deploy remove <deployment-name>'));
-    console.log(chalk.gray('\nTo see all deployments, run:'), chalk.cyan('gcp-deploy list'));
-    console.log();
-    return;
+    throw new CommandError('Deployment name is required. Usage: gcp-deploy remove <deployment-name> (see `gcp-deploy list`).', ExitCode.USAGE);
   }
 
-  // Read project config
-  const config = readProjectConfig();
+  // Tagged previews are addressed as <tag>---<service>
+  const tagged = parseTaggedPreview(deploymentName);
+  if (tagged) {
+    return removeTaggedPreviewDeployment(config, deploymentName, tagged, options);
+  }
 
   // Check if trying to remove production deployment
   if (deploymentName === config.serviceName) {
-    console.log(chalk.yellow('Warning: This is the production deployment!'));
+    log(chalk.yellow('Warning: This is the production deployment!'));
   }
 
   // Get deployment info
   const deployment = getDeployment(deploymentName);
   if (deployment) {
-    console.log(chalk.gray(`Service: ${deploymentName}`));
-    console.log(chalk.gray(`Type: ${deployment.type}`));
-    console.log(chalk.gray(`Branch: ${deployment.branch}`));
-    console.log(chalk.gray(`URL: ${deployment.url || 'N/A'}\n`));
+    log(chalk.gray(`Service: ${deploymentName}`));
+    log(chalk.gray(`Type: ${deployment.type}`));
+    log(chalk.gray(`Branch: ${deployment.branch}`));
+    log(chalk.gray(`URL: ${deployment.url || 'N/A'}\n`));
   } else {
-    console.log(chalk.gray(`Service: ${deploymentName}`));
-    console.log(chalk.yellow('Note: Deployment not found in local history, but may exist in Cloud Run.\n'));
+    log(chalk.gray(`Service: ${deploymentName}`));
+    log(chalk.yellow('Note: Deployment not found in local history, but may exist in Cloud Run.\n'));
   }
 
   // Confirmation
-  if (!options.yes) {
-    const { confirmed } = await prompts({
-      type: 'confirm',
-      name: 'confirmed',
-      message: 'Are you sure you want to delete this deployment?',
-      initial: false
-    });
-
-    if (!confirmed) {
-      console.log(chalk.gray('Deletion cancelled.'));
-      return;
-    }
-  }
+  await confirm('Are you sure you want to delete this deployment?', { yes: options.yes, cancelMessage: 'Deletion cancelled.' });
 
-  const spinner = ora('Deleting Cloud Run service...').start();
+  const spinner = createSpinner('Deleting Cloud Run service...').start();
 
   try {
     const gcpClient = new GCPClient(config.projectId, config.region);
@@ -71,12 +116,13 @@ export async function removeCommand(deploymentName, options) {
 
     if (!service) {
       spinner.warn('Service not found in Cloud Run');
-      console.log(chalk.yellow('\nThe service does not exist in Cloud Run.'));
+      log(chalk.yellow('\nThe service does not exist in Cloud Run.'));
 
       // Remove from local history anyway
-      removeDeployment(deploymentName);
-      console.log(chalk.gray('Removed from local deployment history.\n'));
-      return;
+      const removedEntries = removeDeployment(deploymentName);
+      log(chalk.gray('Removed from local deployment history.\n'));
+      await updatePullRequestComments(config, deploymentName, removedEntries);
+      return { serviceName: deploymentName, removed: false };
     }
 
     // Delete service
@@ -84,25 +130,29 @@ export async function removeCommand(deploymentName, options) {
     spinner.succeed('Cloud Run service deleted');
 
     // Remove from local history
-    removeDeployment(deploymentName);
+    const removedEntries = removeDeployment(deploymentName);
+    await updatePullRequestComments(config, deploymentName, removedEntries);
 
-    console.log(chalk.green('\n✓ Deployment removed successfully!\n'));
+    log(chalk.green('\n✓ Deployment removed successfully!\n'));
 
+    return { serviceName: deploymentName, removed: true };
   } catch (error) {
     spinner.fail('Failed to delete deployment');
     console.error(chalk.red(`\nError: ${error.message}`));
 
     if (error.message.includes('403')) {
-      console.log(chalk.yellow('\nMake sure you have the necessary permissions:'));
-      console.log(chalk.gray('  - Cloud Run Admin'));
+      log(chalk.yellow('\nMake sure you have the necessary permissions:'));
+      log(chalk.gray('  - Cloud Run Admin'));
     } else if (error.message.includes('404')) {
-      console.log(chalk.yellow('\nThe service may have already been deleted.'));
+      log(chalk.yellow('\nThe service may have already been deleted.'));
 
       // Remove from local history anyway
       removeDeployment(deploymentName);
-      console.log(chalk.gray('Removed from local deployment history.'));
+      log(chalk.gray('Removed from local deployment history.'));
     }
 
-    console.log();
+    log();
+
+    throw new CommandError(error.message, getExitCode(error), { reported: true });
   }
 }
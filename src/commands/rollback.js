@@ -0,0 +1,281 @@
+import chalk from 'chalk';
+import prompts from 'prompts';
+import {
+  requireProjectConfig,
+  addDeployment,
+  getServiceHistory,
+  validateProjectConfig,
+  resolveRuntimeConfig
+} from '../lib/config.js';
+import { GCPClient } from '../lib/gcp-client.js';
+import { loadEnvFiles, fingerprintEnv } from '../lib/env.js';
+import { deployImage, describeServiceUrl, hasPreviewTemplate } from '../lib/cloud-run.js';
+import { applySecretMappings } from '../lib/secrets.js';
+import { getOperator } from '../lib/history.js';
+import { CommandError, ExitCode } from '../lib/errors.js';
+import { createSpinner, confirm, isJsonMode, log } from '../lib/output.js';
+
+/**
+ * Format date for display
+ */
+function formatDate(dateString) {
+  if (!dateString) return 'N/A';
+  const date = new Date(dateString);
+  return date.toLocaleString();
+}
+
+/**
+ * Resolve a --to value (history ID or full image URL) to an image
+ */
+function resolveTarget(target, entries) {
+  const entry = entries.find(d => d.id === target || d.image === target);
+  if (entry) {
+    return entry;
+  }
+
+  // Allow rolling back to an image that is not in local history
+  if (target.includes('/')) {
+    return { image: target };
+  }
+
+  return null;
+}
+
+/**
+ * Pick the environment for a rollback
+ *
+ * Reuses the env vars and secrets of the target's revision while Cloud Run
+ * still has it. Otherwise the env files are loaded as deploy would, and a
+ * difference from the env the target was deployed with (recorded as a
+ * fingerprint) needs confirmation. Returns { envVars, secrets, fromRevision }.
+ */
+async function resolveRollbackEnv(gcpClient, config, serviceName, target, { deploymentType, branchName, yes }) {
+  const revisionEnv = target.revision
+    ? await gcpClient.getServiceEnv(serviceName, { revision: target.revision })
+    : null;
+
+  if (revisionEnv) {
+    const count = Object.keys(revisionEnv.env).length + Object.keys(revisionEnv.secrets).length;
+    log(chalk.gray(`Using the ${count} environment variable(s) of revision ${target.revision}\n`));
+    return { envVars: revisionEnv.env, secrets: revisionEnv.secrets, fromRevision: true };
+  }
+
+  // Use the same environment variables a regular deploy would
+  const { envVars: fileEnvVars, files: envFiles } = loadEnvFiles(deploymentType, branchName);
+
+  if (Object.keys(fileEnvVars).length > 0) {
+    log(chalk.gray(`Loaded ${Object.keys(fileEnvVars).length} environment variables from ${envFiles.join(', ')}\n`));
+  }
+
+  // Mount mapped values from Secret Manager instead of sending plaintext
+  const { envVars, secrets, unmapped } = applySecretMappings(fileEnvVars, config);
+
+  if (Object.keys(secrets).length > 0) {
+    log(chalk.gray(`Mounting ${Object.keys(secrets).length} secret(s) from Secret Manager\n`));
+  }
+
+  if (unmapped.length > 0) {
+    log(chalk.yellow(`Warning: Env files contain values that look like secrets and will be sent as plaintext: ${unmapped.join(', ')}`));
+    log(chalk.gray('Store them in Secret Manager with'), chalk.cyan('gcp-deploy secrets set <NAME>\n'));
+  }
+
+  if (!target.env) {
+    log(chalk.yellow('Warning: The environment this image was deployed with is unknown, so the current env files are used.\n'));
+    return { envVars, secrets, fromRevision: false };
+  }
+
+  const current = fingerprintEnv(envVars, secrets);
+  if (current.hash !== target.env.hash) {
+    const added = current.keys.filter(key => !target.env.keys.includes(key));
+    const removed = target.env.keys.filter(key => !current.keys.includes(key));
+
+    log(chalk.yellow(`Warning: ${target.revision ? `Revision ${target.revision} no longer exists, and the` : 'The'} env files differ from the ones this image was deployed with.`));
+    if (added.length > 0) log(chalk.gray(`  Added: ${added.join(', ')}`));
+    if (removed.length > 0) log(chalk.gray(`  Removed: ${removed.join(', ')}`));
+    if (added.length === 0 && removed.length === 0) log(chalk.gray('  Some values have changed.'));
+    log();
+
+    await confirm('Roll back with the current env files?', { yes, cancelMessage: 'Rollback cancelled.' });
+  }
+
+  return { envVars, secrets, fromRevision: false };
+}
+
+/**
+ * Rollback command handler
+ */
+export async function rollbackCommand(deploymentName, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Rollback Deployment\n'));
+
+  // Read and validate project config
+  const config = requireProjectConfig();
+  validateProjectConfig(config);
+  const serviceName = (deploymentName || config.serviceName).toLowerCase();
+
+  // Collect previously deployed images for this service, newest first,
+  // skipping deploys that failed their health checks and were rolled back
+  const entries = getServiceHistory(serviceName)
+    .filter(d => d.image && !d.tag && d.healthCheck?.passed !== false)
+    .reverse();
+  const currentImage = entries[0]?.image;
+
+  log(chalk.gray(`Service: ${serviceName}`));
+  log(chalk.gray(`Current image: ${currentImage || 'unknown'}\n`));
+
+  let target;
+
+  if (options.to) {
+    target = resolveTarget(options.to, entries);
+    if (!target) {
+      throw new CommandError(`No deployment matching "${options.to}" found in local history. Pass a history ID or a full image URL.`, ExitCode.NOT_FOUND);
+    }
+  } else {
+    // Only offer images that differ from the one currently serving
+    const seen = new Set([currentImage]);
+    const candidates = entries.filter(d => {
+      if (seen.has(d.image)) return false;
+      seen.add(d.image);
+      return true;
+    });
+
+    if (candidates.length === 0) {
+      throw new CommandError('No earlier images found in local history for this service.', ExitCode.NOT_FOUND);
+    }
+
+    if (isJsonMode()) {
+      throw new CommandError('Pass --to <id|image> to choose the rollback target with --json.', ExitCode.USAGE);
+    }
+
+    const { selected } = await prompts({
+      type: 'select',
+      name: 'selected',
+      message: 'Select an image to roll back to:',
+      choices: candidates.map(d => ({
+        title: `${d.id || 'N/A'}  ${formatDate(d.timestamp)}  ${d.image.split(':').pop()}`,
+        description: d.image,
+        value: d
+      })),
+      initial: 0
+    });
+
+    if (!selected) {
+      log(chalk.gray('Rollback cancelled.'));
+      throw new CommandError('Rollback cancelled.', ExitCode.CANCELLED, { reported: true });
+    }
+
+    target = selected;
+  }
+
+  if (target.image === currentImage) {
+    log(chalk.yellow('The selected image is already the current deployment.\n'));
+    return { serviceName, image: currentImage, rolledBack: false };
+  }
+
+  // Confirmation
+  await confirm(`Roll back ${serviceName} to ${target.image}?`, { yes: options.yes, cancelMessage: 'Rollback cancelled.' });
+
+  const spinner = createSpinner();
+
+  // Pre-flight checks
+  spinner.start('Running pre-flight checks...');
+
+  if (!GCPClient.checkGcloudAuth()) {
+    spinner.fail('Pre-flight checks failed');
+    throw new CommandError('gcloud CLI is not authenticated. Run `gcloud auth login` to authenticate.', ExitCode.AUTH);
+  }
+
+  spinner.succeed('Pre-flight checks passed');
+
+  const deploymentType = target.type || entries[0]?.type || (serviceName === config.serviceName ? 'production' : 'preview');
+  const branchName = target.branch || entries[0]?.branch;
+
+  const gcpClient = new GCPClient(config.projectId, config.region);
+  const { envVars, secrets, fromRevision } = await resolveRollbackEnv(gcpClient, config, serviceName, target, {
+    deploymentType,
+    branchName,
+    yes: options.yes
+  });
+
+  const runtime = resolveRuntimeConfig(config, deploymentType);
+
+  spinner.start('Rolling back Cloud Run service...');
+
+  try {
+    deployImage(config, serviceName, target.image, envVars, {
+      runtime,
+      secrets,
+      // The target revision's env is complete, and tagged previews share one
+      // service template, so in both cases never inherit env from the last deploy
+      replaceEnv: fromRevision || config.previews?.mode === 'tag' || await hasPreviewTemplate(gcpClient, serviceName)
+    });
+    spinner.succeed('Cloud Run service rolled back');
+
+    // The new revision only serves if traffic follows the latest revision,
+    // which promote, abort and tagged previews may have pinned elsewhere
+    spinner.start('Routing traffic to the rolled back revision...');
+    await gcpClient.routeTrafficToLatest(serviceName);
+    const service = await gcpClient.getService(serviceName);
+    const revision = GCPClient.getRevisionName(service?.latestReadyRevision);
+    spinner.succeed(`${revision} now receives 100% of traffic`);
+
+    spinner.start('Retrieving service URL...');
+    const serviceUrl = describeServiceUrl(config, serviceName);
+    spinner.succeed('Service URL retrieved');
+
+    // Record the rollback as its own history entry
+    const entry = addDeployment({
+      serviceName,
+      type: deploymentType,
+      branch: branchName || 'unknown',
+      url: serviceUrl,
+      image: target.image,
+      revision,
+      region: config.region,
+      env: fingerprintEnv(envVars, secrets),
+      status: 'succeeded',
+      operator: getOperator(),
+      rollback: {
+        fromImage: currentImage || null,
+        toDeploymentId: target.id || null
+      }
+    });
+
+    log(chalk.green('\n✓ Rollback successful!\n'));
+    log(chalk.bold('Service URL:'));
+    log(chalk.cyan(`  ${serviceUrl}\n`));
+
+    return {
+      deploymentId: entry.id,
+      serviceName,
+      url: serviceUrl,
+      image: target.image,
+      revision,
+      fromImage: currentImage || null,
+      rolledBack: true
+    };
+  } catch (error) {
+    spinner.fail('Rollback failed');
+
+    // Extract clean error message
+    let errorMessage = error.message;
+    if (error.stderr) {
+      errorMessage = error.stderr.toString();
+    }
+
+    console.error(chalk.red(`\nError: ${errorMessage}`));
+
+    let exitCode = ExitCode.DEPLOY;
+    if (error.message.includes('403')) {
+      exitCode = ExitCode.AUTH;
+      log(chalk.yellow('\nMake sure you have the necessary permissions:'));
+      log(chalk.gray('  - Cloud Run Admin'));
+    } else if (errorMessage.includes('NOT_FOUND') || errorMessage.includes('not found')) {
+      exitCode = ExitCode.NOT_FOUND;
+      log(chalk.yellow('\nThe image may have been deleted from Artifact Registry.'));
+    }
+
+    log();
+
+    throw new CommandError(errorMessage.trim(), exitCode, { reported: true });
+  }
+}
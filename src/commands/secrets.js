@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { requireProjectConfig, writeProjectConfig } from '../lib/config.js';
+import { loadEnvFiles } from '../lib/env.js';
+import { getCurrentBranch } from '../lib/git.js';
+import {
+  getSecretMappings,
+  defaultSecretName,
+  secretExists,
+  createSecret,
+  addSecretVersion,
+  getLatestSecretVersion,
+  deleteSecret,
+  grantSecretAccess
+} from '../lib/secrets.js';
+import { CommandError, ExitCode } from '../lib/errors.js';
+import { createSpinner, confirm, log } from '../lib/output.js';
+
+/**
+ * Get the local value for a secret from --value, --from-file or the env files
+ *
+ * The env files are the ones deploy loads (.env, .env.<type>, .env.<branch>);
+ * fileEnvVars is their merged content.
+ */
+function readLocalValue(envName, options, fileEnvVars) {
+  if (options.value !== undefined) {
+    return options.value;
+  }
+
+  if (options.fromFile) {
+    return fs.readFileSync(path.resolve(options.fromFile), 'utf8');
+  }
+
+  return fileEnvVars[envName];
+}
+
+/**
+ * Secrets set command handler
+ */
+export async function secretsSetCommand(envNames, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Set Secrets\n'));
+
+  const config = requireProjectConfig();
+
+  const mappings = getSecretMappings(config);
+
+  // Without names, push every mapped secret from local values
+  const names = envNames.length > 0 ? envNames : Object.keys(mappings);
+  if (names.length === 0) {
+    throw new CommandError('No secrets mapped in gcp-deploy.json. Usage: gcp-deploy secrets set <ENV_NAME> [--secret <name>]', ExitCode.USAGE);
+  }
+
+  if (names.length > 1 && (options.value !== undefined || options.fromFile || options.secret)) {
+    throw new CommandError('--value, --from-file and --secret can only be used with a single secret.', ExitCode.USAGE);
+  }
+
+  const deploymentType = options.preview ? 'preview' : 'production';
+  const branch = options.branch || getCurrentBranch();
+  const { envVars: fileEnvVars, files } = loadEnvFiles(deploymentType, branch);
+  const fileList = files.length > 0 ? files.join(', ') : 'the env files';
+
+  const spinner = createSpinner();
+  config.secrets = config.secrets || {};
+  const results = [];
+
+  for (const envName of names) {
+    const value = readLocalValue(envName, options, fileEnvVars);
+    if (value === undefined) {
+      spinner.warn(`${envName}: no local value found in ${fileList} (use --value or --from-file)`);
+      results.push({ envName, status: 'skipped', error: 'No local value found' });
+      continue;
+    }
+
+    const secret = options.secret || mappings[envName]?.secret || defaultSecretName(config.serviceName, envName);
+    spinner.start(`${envName}: updating secret ${secret}...`);
+
+    try {
+      if (!secretExists(config.projectId, secret)) {
+        createSecret(config.projectId, secret);
+
+        if (!grantSecretAccess(config.projectId, secret)) {
+          spinner.warn(`${envName}: could not grant Cloud Run access to ${secret}`);
+          log(chalk.yellow('Run this command manually:'));
+          log(chalk.cyan(`  gcloud secrets add-iam-policy-binding ${secret} --member="serviceAccount:<PROJECT_NUMBER>-compute@developer.gserviceaccount.com" --role="roles/secretmanager.secretAccessor"`));
+          spinner.start(`${envName}: updating secret ${secret}...`);
+        }
+      }
+
+      const version = addSecretVersion(config.projectId, secret, value);
+
+      // Keep an explicit version pin if there is one, otherwise track latest
+      if (!mappings[envName] || mappings[envName].secret !== secret) {
+        config.secrets[envName] = { secret, version: 'latest' };
+      }
+
+      spinner.succeed(`${envName}: ${secret} version ${version}`);
+      results.push({ envName, secret, version, status: 'updated' });
+    } catch (error) {
+      spinner.fail(`${envName}: ${error.message}`);
+      results.push({ envName, secret, status: 'failed', error: error.message });
+    }
+  }
+
+  writeProjectConfig(config);
+  log(chalk.gray('\nSecrets are mounted on the next'), chalk.cyan('gcp-deploy deploy'), chalk.gray('\n'));
+
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    throw new CommandError(`Failed to update ${failed.map(result => result.envName).join(', ')}`, ExitCode.ERROR, { reported: true });
+  }
+
+  return { secrets: results };
+}
+
+/**
+ * Secrets ls command handler
+ */
+export async function secretsListCommand() {
+  log(chalk.bold.blue('\nGCP Deploy - Secrets\n'));
+
+  const config = requireProjectConfig();
+
+  const mappings = getSecretMappings(config);
+  if (Object.keys(mappings).length === 0) {
+    log(chalk.yellow('No secrets mapped in gcp-deploy.json.\n'));
+    return { secrets: [] };
+  }
+
+  const spinner = createSpinner('Fetching secret versions...').start();
+  const rows = Object.entries(mappings).map(([envName, { secret, version }]) => ({
+    envName,
+    secret,
+    version,
+    latest: getLatestSecretVersion(config.projectId, secret)
+  }));
+  spinner.succeed('Secrets fetched');
+  log();
+
+  rows.forEach(row => {
+    log(chalk.bold(`  ${row.envName}`));
+    log(chalk.gray(`    Secret:     ${row.secret}`));
+    log(chalk.gray(`    Version:    ${row.version}`));
+    if (row.latest) {
+      log(chalk.gray(`    Latest:     ${row.latest.version} (${new Date(row.latest.createTime).toLocaleString()})`));
+    } else {
+      log(chalk.yellow('    Latest:     not found in Secret Manager'));
+    }
+    log();
+  });
+
+  return { secrets: rows };
+}
+
+/**
+ * Secrets rm command handler
+ */
+export async function secretsRemoveCommand(envName, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Remove Secret\n'));
+
+  const config = requireProjectConfig();
+
+  const mapping = getSecretMappings(config)[envName];
+  if (!mapping) {
+    throw new CommandError(`${envName} is not mapped in gcp-deploy.json.`, ExitCode.NOT_FOUND);
+  }
+
+  if (options.delete) {
+    await confirm(`Delete secret ${mapping.secret} and all of its versions from Secret Manager?`, {
+      yes: options.yes,
+      cancelMessage: 'Deletion cancelled.'
+    });
+  }
+
+  delete config.secrets[envName];
+  writeProjectConfig(config);
+  log(chalk.green(`✓ Removed ${envName} from gcp-deploy.json`));
+
+  if (options.delete) {
+    const spinner = createSpinner(`Deleting secret ${mapping.secret}...`).start();
+    try {
+      deleteSecret(config.projectId, mapping.secret);
+      spinner.succeed(`Deleted secret ${mapping.secret}`);
+    } catch (error) {
+      spinner.fail(error.message);
+      throw new CommandError(error.message, ExitCode.ERROR, { reported: true });
+    }
+  }
+
+  log(chalk.gray('\nThe change takes effect on the next'), chalk.cyan('gcp-deploy deploy'), chalk.gray('\n'));
+
+  return { envName, secret: mapping.secret, deleted: Boolean(options.delete) };
+}
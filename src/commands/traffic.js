@@ -0,0 +1,214 @@
+import chalk from 'chalk';
+import { requireProjectConfig, getServiceHistory } from '../lib/config.js';
+import { GCPClient } from '../lib/gcp-client.js';
+import { PREVIEW_LABEL, HEALTH_CHECK_TAG } from '../lib/cloud-run.js';
+import { CommandError, ExitCode, getExitCode } from '../lib/errors.js';
+import { createSpinner, log } from '../lib/output.js';
+
+/**
+ * Format a traffic split for display
+ */
+function formatTrafficSplit(split) {
+  if (!split || split.length === 0) return 'N/A';
+
+  return split
+    .filter(target => target.percent > 0)
+    .map(target => `${target.revision || 'latest'} ${target.percent}%${target.latest ? ' (latest)' : ''}`)
+    .join(', ');
+}
+
+/**
+ * The latest created revision, as long as it is not a preview
+ */
+async function getLatestNonPreviewRevision(gcpClient, serviceName, service, split) {
+  const latestCreated = GCPClient.getRevisionName(service.latestCreatedRevision);
+  const tagged = split.some(target => target.revision === latestCreated && target.tag && target.tag !== HEALTH_CHECK_TAG);
+  const revision = tagged ? null : await gcpClient.getRevision(serviceName, latestCreated);
+
+  if (tagged || revision?.labels?.[PREVIEW_LABEL] === 'true') {
+    throw new CommandError(
+      `No canary deploy found in history, and the latest revision ${latestCreated} is a preview. Pass the canary with --revision.`,
+      ExitCode.USAGE
+    );
+  }
+
+  return latestCreated;
+}
+
+/**
+ * Work out the canary and stable revisions of a service
+ *
+ * The canary is --revision, else the newest canary deploy in history that
+ * still receives traffic, else the latest created revision unless that is a
+ * preview (tagged or labelled), in which case --revision is required. The
+ * stable revision is the other revision currently receiving the most traffic.
+ */
+async function resolveCanary(gcpClient, serviceName, options) {
+  const service = await gcpClient.getService(serviceName);
+  if (!service) {
+    throw new CommandError(`Service ${serviceName} not found in Cloud Run`, ExitCode.NOT_FOUND);
+  }
+
+  const split = await gcpClient.getTrafficSplit(serviceName);
+  const serving = split.filter(target => target.revision && target.percent > 0);
+
+  // Tagged preview revisions are also created with --no-traffic, so the
+  // latest created revision is not necessarily the canary
+  const canaryEntry = getServiceHistory(serviceName)
+    .reverse()
+    .find(d => d.canary && serving.some(target => target.revision === d.revision));
+
+  const canaryRevision = options.revision ||
+    canaryEntry?.revision ||
+    await getLatestNonPreviewRevision(gcpClient, serviceName, service, split);
+
+  const stable = serving
+    .filter(target => target.revision !== canaryRevision)
+    .sort((a, b) => b.percent - a.percent)[0];
+
+  const stableRevision = options.stable || stable?.revision || canaryEntry?.canary.stableRevision;
+  const latestRevision = GCPClient.getRevisionName(service.latestReadyRevision);
+
+  return { split, canaryRevision, stableRevision, latestRevision };
+}
+
+/**
+ * Shared setup for traffic commands
+ */
+function getContext(deploymentName) {
+  const config = requireProjectConfig();
+  const serviceName = (deploymentName || config.serviceName).toLowerCase();
+  const gcpClient = new GCPClient(config.projectId, config.region);
+
+  log(chalk.gray(`Service: ${serviceName}\n`));
+
+  return { config, serviceName, gcpClient };
+}
+
+/**
+ * Print a failed traffic update and rethrow it as a CommandError
+ */
+function reportError(spinner, error) {
+  spinner.fail('Failed to update traffic');
+
+  if (error instanceof CommandError) {
+    throw error;
+  }
+
+  console.error(chalk.red(`\nError: ${error.message}`));
+
+  const exitCode = getExitCode(error);
+  if (exitCode === ExitCode.AUTH) {
+    log(chalk.yellow('\nMake sure you have the necessary permissions:'));
+    log(chalk.gray('  - Cloud Run Admin'));
+  }
+
+  log();
+
+  throw new CommandError(error.message, exitCode === ExitCode.ERROR ? ExitCode.DEPLOY : exitCode, { reported: true });
+}
+
+/**
+ * Traffic set command handler
+ */
+export async function trafficSetCommand(percentArg, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Set Traffic Split\n'));
+
+  const percent = Number(percentArg);
+  if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+    throw new CommandError('Percent must be a whole number between 0 and 100.', ExitCode.USAGE);
+  }
+
+  const { serviceName, gcpClient } = getContext(options.deployment);
+  const spinner = createSpinner('Reading current traffic split...').start();
+
+  try {
+    const { split, canaryRevision, stableRevision } = await resolveCanary(gcpClient, serviceName, options);
+    spinner.succeed(`Current split: ${formatTrafficSplit(split)}`);
+
+    if (!stableRevision && percent < 100) {
+      throw new CommandError('No stable revision found to receive the remaining traffic. Specify one with --stable <revision>.', ExitCode.USAGE);
+    }
+
+    const targets = [{ revision: canaryRevision, percent }];
+    if (percent < 100) {
+      targets.push({ revision: stableRevision, percent: 100 - percent });
+    }
+
+    spinner.start('Updating traffic split...');
+    await gcpClient.updateTraffic(serviceName, targets);
+    spinner.succeed(`Traffic split: ${formatTrafficSplit(targets)}`);
+    log();
+
+    return { serviceName, traffic: targets };
+  } catch (error) {
+    reportError(spinner, error);
+  }
+}
+
+/**
+ * Promote command handler
+ */
+export async function promoteCommand(deploymentName, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Promote Canary\n'));
+
+  const { serviceName, gcpClient } = getContext(deploymentName);
+  const spinner = createSpinner('Reading current traffic split...').start();
+
+  try {
+    const { split, canaryRevision, latestRevision } = await resolveCanary(gcpClient, serviceName, options);
+    spinner.succeed(`Current split: ${formatTrafficSplit(split)}`);
+
+    spinner.start(`Promoting ${canaryRevision}...`);
+
+    // Follow the latest revision again when the canary is it, so later
+    // deploys receive traffic; an older revision has to be pinned
+    const target = canaryRevision === latestRevision
+      ? { latest: true, revision: canaryRevision, percent: 100 }
+      : { revision: canaryRevision, percent: 100 };
+
+    await gcpClient.updateTraffic(serviceName, [target]);
+    spinner.succeed(`${canaryRevision} now receives 100% of traffic`);
+
+    if (!target.latest) {
+      log(chalk.gray(`\n${canaryRevision} is not the latest revision, so traffic stays pinned to it until the next production deploy.`));
+    }
+
+    log(chalk.green('\n✓ Canary promoted!\n'));
+
+    return { serviceName, revision: canaryRevision, traffic: [target] };
+  } catch (error) {
+    reportError(spinner, error);
+  }
+}
+
+/**
+ * Abort command handler
+ */
+export async function abortCommand(deploymentName, options) {
+  log(chalk.bold.blue('\nGCP Deploy - Abort Canary\n'));
+
+  const { serviceName, gcpClient } = getContext(deploymentName);
+  const spinner = createSpinner('Reading current traffic split...').start();
+
+  try {
+    const { split, canaryRevision, stableRevision } = await resolveCanary(gcpClient, serviceName, options);
+    spinner.succeed(`Current split: ${formatTrafficSplit(split)}`);
+
+    if (!stableRevision) {
+      throw new CommandError('No stable revision found to roll traffic back to. Specify one with --stable <revision>.', ExitCode.USAGE);
+    }
+
+    spinner.start(`Routing all traffic back to ${stableRevision}...`);
+    await gcpClient.updateTraffic(serviceName, [{ revision: stableRevision, percent: 100 }]);
+    spinner.succeed(`${stableRevision} now receives 100% of traffic`);
+
+    // The canary is still the latest revision, so the split stays pinned
+    log(chalk.gray(`\nTraffic stays pinned to ${stableRevision} until the next production deploy.`));
+    log(chalk.green(`\n✓ Canary ${canaryRevision} aborted!\n`));
+
+    return { serviceName, revision: stableRevision, abortedRevision: canaryRevision, traffic: [{ revision: stableRevision, percent: 100 }] };
+  } catch (error) {
+    reportError(spinner, error);
+  }
+}
@@ -1,33 +1,59 @@
 #!/usr/bin/env node
 
 import { Command } from 'commander';
-import chalk from 'chalk';
+import { runCommand, setJsonMode, exitWithError } from './lib/output.js';
+import { resolveProjectDir } from './lib/workspace.js';
+import { DEFAULT_LOG_LIMIT } from './lib/logs.js';
+import { DEFAULT_METRICS_WINDOW } from './lib/metrics.js';
 import { initCommand } from './commands/init.js';
 import { deployCommand } from './commands/deploy.js';
 import { listCommand } from './commands/list.js';
+import { inspectCommand } from './commands/inspect.js';
 import { logsCommand } from './commands/logs.js';
+import { metricsCommand } from './commands/metrics.js';
 import { removeCommand } from './commands/remove.js';
+import { pruneCommand } from './commands/prune.js';
+import { rollbackCommand } from './commands/rollback.js';
+import { historyCommand } from './commands/history.js';
+import { trafficSetCommand, promoteCommand, abortCommand } from './commands/traffic.js';
+import { domainsAddCommand, domainsListCommand, domainsRemoveCommand } from './commands/domains.js';
+import { secretsSetCommand, secretsListCommand, secretsRemoveCommand } from './commands/secrets.js';
+import { envListCommand, envAddCommand, envRemoveCommand, envPullCommand, envDiffCommand } from './commands/env.js';
 
 const program = new Command();
 
 program
   .name('gcp-deploy')
   .description('A Vercel-like CLI tool for deploying Next.js applications to Google Cloud Platform')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--json', 'Print a single machine-readable JSON result instead of human-readable output')
+  .option('--cwd <dir>', 'Run as if started in this directory')
+  .option('--app <name>', 'Run for a monorepo workspace package, by package name or path')
+  .hook('preAction', () => {
+    const { json, cwd, app } = program.opts();
+    setJsonMode(json);
 
-// Init command
-program
-  .command('init')
-  .description('Initialize a new project with GCP deployment configuration')
-  .action(async () => {
+    // Config, env files and history are per app, so commands run from its directory
     try {
-      await initCommand();
+      process.chdir(resolveProjectDir({ cwd, app }));
     } catch (error) {
-      console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
+      exitWithError(error);
     }
   });
 
+// Init command
+program
+  .command('init')
+  .description('Initialize a new project with GCP deployment configuration')
+  .option('-y, --yes', 'Run without prompts; --project, --region and --service are required')
+  .option('--project <id>', 'GCP project ID')
+  .option('--region <region>', 'Cloud Run region (e.g. us-central1)')
+  .option('--service <name>', 'Cloud Run service name')
+  .option('--force', 'Overwrite an existing gcp-deploy.json')
+  .option('--framework <name>', 'Framework adapter: nextjs, remix, nuxt, sveltekit, astro, static or node (default: detected)')
+  .option('--credentials <file>', 'Service account key or workload identity credential configuration to authenticate gcloud with')
+  .action(runCommand(initCommand));
+
 // Deploy command
 program
   .command('deploy')
@@ -35,14 +61,12 @@ program
   .option('-p, --production', 'Deploy to production')
   .option('--preview', 'Create a preview deployment')
   .option('-b, --branch <name>', 'Specify branch name for preview deployment')
-  .action(async (options) => {
-    try {
-      await deployCommand(options);
-    } catch (error) {
-      console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .option('--canary <percent>', 'Send only this percentage of production traffic to the new revision')
+  .option('--remote', 'Build the image on Cloud Build instead of local Docker')
+  .option('--tagged', 'Deploy the preview as a tagged, zero-traffic revision of the main service')
+  .option('--skip-health-check', 'Do not run the healthCheck smoke checks after deploying')
+  .option('--github-pr <number>', 'Post the preview to this GitHub pull request (detected automatically on GitHub Actions and Cloud Build)')
+  .action(runCommand(deployCommand));
 
 // List command
 program
@@ -50,43 +74,210 @@ program
   .description('List all deployments')
   .option('--production', 'Show only production deployments')
   .option('--preview', 'Show only preview deployments')
-  .action(async (options) => {
-    try {
-      await listCommand(options);
-    } catch (error) {
-      console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .action(runCommand(listCommand));
+
+// Inspect command
+program
+  .command('inspect <deployment>')
+  .description('Show live revision, traffic, runtime settings and status for a deployment')
+  .action(runCommand(inspectCommand));
+
+// Metrics command
+program
+  .command('metrics [deployment]')
+  .description('Show request, latency, instance and utilization metrics from Cloud Monitoring')
+  .option('--since <time>', 'Time window, as a duration (e.g. 30m, 6h, 7d) or a date', DEFAULT_METRICS_WINDOW)
+  .option('-w, --watch', 'Keep refreshing the metrics')
+  .option('--interval <seconds>', 'With --watch, seconds between refreshes', '60')
+  .action(runCommand(metricsCommand));
 
 // Logs command
 program
   .command('logs')
   .description('Stream logs from Cloud Logging')
   .option('-f, --follow', 'Follow log output (stream in real-time)')
-  .option('-d, --deployment <id>', 'Specify which deployment to show logs for')
-  .action(async (options) => {
-    try {
-      await logsCommand(options);
-    } catch (error) {
-      console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .option('--poll', 'With --follow, poll every 2 seconds instead of using the live tail API')
+  .option('-d, --deployment <names...>', 'Deployments to show logs for (service names or <tag>---<service>, space- or comma-separated)')
+  .option('-b, --branch <name>', 'Show logs for all preview deployments of this branch (from local history)')
+  .option('--all-previews', 'Show logs for all preview deployments (from local history)')
+  .option('--source <sources>', 'Comma-separated logs to show: stdout, stderr, requests (default: all)')
+  .option('--severity <level>', 'Minimum severity (e.g. WARNING), or a comparison like ">=ERROR" or "=INFO"')
+  .option('--since <time>', 'Only entries after this date or duration ago (e.g. 1h, 2024-01-15T10:00:00Z)')
+  .option('--until <time>', 'Only entries before this date or duration ago')
+  .option('--grep <text>', 'Only entries whose message contains this text (case-insensitive)')
+  .option('--revision <name>', 'Only entries from this revision')
+  .option('--limit <count>', `Maximum number of entries to fetch (default: ${DEFAULT_LOG_LIMIT})`)
+  .option('--filter <query>', 'Extra Cloud Logging query, ANDed with the other filters')
+  .option('-o, --output <file>', 'Write entries to a file instead of the terminal (appends with --follow)')
+  .option('--format <format>', 'File format for --output: ndjson, text or csv (default: from the extension, else ndjson)')
+  .action(runCommand(logsCommand));
 
 // Remove command
 program
   .command('remove <deployment>')
   .description('Delete a deployment')
   .option('-y, --yes', 'Skip confirmation prompt')
-  .action(async (deployment, options) => {
-    try {
-      await removeCommand(deployment, options);
-    } catch (error) {
-      console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .action(runCommand(removeCommand));
+
+// Prune command
+program
+  .command('prune')
+  .description('Delete stale preview deployments')
+  .option('--older-than <duration>', 'Remove previews not updated within this duration (e.g. 7d, 12h)')
+  .option('--merged', 'Remove previews whose branch is merged into the base branch')
+  .option('--base <branch>', 'Base branch for --merged', 'main')
+  .option('--keep-latest <count>', 'Always keep the newest N previews per branch')
+  .option('--dry-run', 'Show what would be removed without deleting anything')
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(runCommand(pruneCommand));
+
+// Rollback command
+program
+  .command('rollback [deployment]')
+  .description('Redeploy a previously deployed image from history')
+  .option('--to <history-id|image>', 'History ID or image URL to roll back to')
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(runCommand(rollbackCommand));
+
+// History command
+program
+  .command('history [id]')
+  .description('List deploy attempts from local history, or show one in detail')
+  .option('--status <status>', 'Only show deploys with this status (succeeded, failed, cancelled, in-progress)')
+  .option('--type <type>', 'Only show production or preview deploys')
+  .option('-b, --branch <branch>', 'Only show deploys of this branch')
+  .option('--since <time>', 'Only show deploys started after this date or duration ago (e.g. 2024-01-15, 7d)')
+  .option('--until <time>', 'Only show deploys started before this date or duration ago')
+  .option('--limit <count>', 'Maximum number of deploys to show', '20')
+  .action(runCommand(historyCommand));
+
+// Traffic command
+const traffic = program
+  .command('traffic')
+  .description('Manage traffic split between Cloud Run revisions');
+
+traffic
+  .command('set <percent>')
+  .description('Set the percentage of traffic sent to the canary revision')
+  .option('-d, --deployment <id>', 'Specify which deployment to update (default: production)')
+  .option('--revision <name>', 'Canary revision (default: the current canary)')
+  .option('--stable <name>', 'Revision that receives the remaining traffic')
+  .action(runCommand(trafficSetCommand));
+
+// Promote command
+program
+  .command('promote [deployment]')
+  .description('Send all traffic to the canary revision')
+  .option('--revision <name>', 'Canary revision (default: the current canary)')
+  .action(runCommand(promoteCommand));
+
+// Abort command
+program
+  .command('abort [deployment]')
+  .description('Send all traffic back to the stable revision')
+  .option('--revision <name>', 'Canary revision (default: the current canary)')
+  .option('--stable <name>', 'Revision that receives all traffic')
+  .action(runCommand(abortCommand));
+
+// Secrets command
+const secrets = program
+  .command('secrets')
+  .description('Manage Secret Manager-backed environment variables');
+
+secrets
+  .command('set [names...]')
+  .description('Create or update secret versions from local values (default: all mapped secrets)')
+  .option('--secret <name>', 'Secret Manager secret name (default: <service>-<env-name>)')
+  .option('--value <value>', 'Secret value (default: read from the env files)')
+  .option('--from-file <path>', 'Read the secret value from a file')
+  .option('--production', 'Read production env files (default)')
+  .option('--preview', 'Read preview env files')
+  .option('-b, --branch <name>', 'Branch for .env.<branch> (default: current branch)')
+  .action(runCommand(secretsSetCommand));
+
+secrets
+  .command('ls')
+  .description('List mapped secrets and their latest versions')
+  .action(runCommand(secretsListCommand));
+
+secrets
+  .command('rm <name>')
+  .description('Remove a secret mapping from gcp-deploy.json')
+  .option('--delete', 'Also delete the secret from Secret Manager')
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(runCommand(secretsRemoveCommand));
+
+// Env command
+const env = program
+  .command('env')
+  .description('Manage per-environment env files');
+
+env
+  .command('ls')
+  .description('Show the merged environment a deploy would use')
+  .option('--production', 'Use production env files (default)')
+  .option('--preview', 'Use preview env files')
+  .option('-b, --branch <name>', 'Branch for .env.<branch> (default: current branch)')
+  .option('--reveal', 'Show values instead of masking them')
+  .action(runCommand(envListCommand));
+
+env
+  .command('add <key> [value]')
+  .description('Set a variable in an env file (prompts for the value if omitted)')
+  .option('--production', 'Write to .env.production')
+  .option('--preview', 'Write to .env.preview')
+  .option('-b, --branch <name>', 'Write to .env.<branch>')
+  .option('--file <path>', 'Write to a specific env file')
+  .action(runCommand(envAddCommand));
+
+env
+  .command('rm <key>')
+  .description('Remove a variable from an env file')
+  .option('--production', 'Remove from .env.production')
+  .option('--preview', 'Remove from .env.preview')
+  .option('-b, --branch <name>', 'Remove from .env.<branch>')
+  .option('--file <path>', 'Remove from a specific env file')
+  .action(runCommand(envRemoveCommand));
+
+env
+  .command('pull [file]')
+  .description('Write the deployed service environment to a local file (default: .env.local)')
+  .option('-d, --deployment <id>', 'Service to pull from (default: production)')
+  .option('-y, --yes', 'Overwrite the file without asking')
+  .action(runCommand(envPullCommand));
+
+env
+  .command('diff')
+  .description('Compare local env files with the live revision')
+  .option('-d, --deployment <id>', 'Service to compare with (default: production)')
+  .option('--production', 'Use production env files (default)')
+  .option('--preview', 'Use preview env files')
+  .option('-b, --branch <name>', 'Branch for .env.<branch> (default: current branch)')
+  .option('--reveal', 'Show values instead of masking them')
+  .action(runCommand(envDiffCommand));
+
+// Domains command
+const domains = program
+  .command('domains')
+  .description('Manage custom domains');
+
+domains
+  .command('add <host>')
+  .description('Map a custom domain to a deployment and wait for its certificate')
+  .option('-d, --deployment <name>', 'Service to map the domain to (default: production)')
+  .option('--no-wait', 'Do not wait for the certificate to be provisioned')
+  .action(runCommand(domainsAddCommand));
+
+domains
+  .command('ls')
+  .description('List mapped domains, their certificate status and DNS records')
+  .action(runCommand(domainsListCommand));
+
+domains
+  .command('rm <host>')
+  .description('Remove a custom domain mapping')
+  .option('-y, --yes', 'Skip confirmation prompt')
+  .action(runCommand(domainsRemoveCommand));
 
 // Parse command line arguments
 program.parse(process.argv);
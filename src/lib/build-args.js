@@ -0,0 +1,168 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { expandEnvVars } from './env.js';
+import { getFramework } from './frameworks/index.js';
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*\*?$/;
+const SECRET_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * Check whether a variable name matches a build.env entry (`NAME` or `PREFIX_*`)
+ */
+function matchesName(name, pattern) {
+  return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern;
+}
+
+/**
+ * Names forwarded from env files as build args
+ *
+ * The framework's public prefixes (e.g. NEXT_PUBLIC_) are always forwarded,
+ * plus anything listed in build.env.
+ */
+function getForwardedPatterns(config) {
+  const prefixes = getFramework(config.framework)?.buildEnvPrefixes || [];
+  return [...prefixes.map(prefix => `${prefix}*`), ...(config.build?.env || [])];
+}
+
+/**
+ * Resolve the build args and BuildKit secrets for a build
+ *
+ * build.args values may reference env file variables with ${VAR}. Returns
+ * { args, secrets } where args maps names to values and secrets is a list of
+ * { id, env, value } or { id, file }.
+ */
+export function resolveBuildArgs(config, envVars = {}) {
+  const patterns = getForwardedPatterns(config);
+  const args = {};
+
+  for (const [name, value] of Object.entries(envVars)) {
+    if (patterns.some(pattern => matchesName(name, pattern))) {
+      args[name] = value;
+    }
+  }
+
+  const literal = Object.fromEntries(
+    Object.entries(config.build?.args || {}).map(([name, value]) => [name, String(value)])
+  );
+  Object.assign(args, expandEnvVars(literal, { env: { ...process.env, ...envVars } }));
+
+  const secrets = Object.entries(config.build?.secrets || {}).map(([id, source]) => {
+    if (typeof source === 'object' && source.file) {
+      return { id, file: path.resolve(source.file.replace(/^~(?=\/|$)/, os.homedir())) };
+    }
+
+    const env = typeof source === 'object' ? source.env : source;
+    return { id, env, value: envVars[env] ?? process.env[env] };
+  });
+
+  return { args, secrets };
+}
+
+/**
+ * Build arg names to declare in a generated Dockerfile
+ *
+ * Uses every env file a deploy could load, so both deployment types work.
+ */
+export function getBuildArgNames(config, envFileVars = []) {
+  const patterns = getForwardedPatterns(config);
+  const names = new Set(Object.keys(config.build?.args || {}));
+
+  for (const envVars of envFileVars) {
+    Object.keys(envVars)
+      .filter(name => patterns.some(pattern => matchesName(name, pattern)))
+      .forEach(name => names.add(name));
+  }
+
+  return [...names].sort();
+}
+
+/**
+ * docker build flags and environment for build args and secrets
+ *
+ * Values travel through the child environment (`--build-arg NAME` reads
+ * NAME from it), so they never need shell quoting.
+ */
+export function getDockerBuildOptions({ args, secrets }) {
+  const flags = Object.keys(args).map(name => `--build-arg ${name}`);
+  const env = { ...args };
+
+  for (const secret of secrets) {
+    if (secret.file) {
+      flags.push(`--secret "id=${secret.id},src=${secret.file}"`);
+    } else {
+      flags.push(`--secret id=${secret.id},env=${secret.env}`);
+      if (secret.value !== undefined) env[secret.env] = secret.value;
+    }
+  }
+
+  if (secrets.length > 0) {
+    env.DOCKER_BUILDKIT = '1';
+  }
+
+  return { flags, env };
+}
+
+/**
+ * Build args that the Dockerfile does not declare with ARG
+ */
+export function findUndeclaredBuildArgs(dockerfilePath, names) {
+  if (!fs.existsSync(dockerfilePath)) return names;
+
+  const content = fs.readFileSync(dockerfilePath, 'utf8');
+  return names.filter(name => !new RegExp(`^\\s*ARG\\s+${name}(\\s|=|$)`, 'm').test(content));
+}
+
+/**
+ * Build secrets that no RUN step in the Dockerfile mounts
+ */
+export function findUnmountedSecrets(dockerfilePath, ids) {
+  if (!fs.existsSync(dockerfilePath)) return ids;
+
+  const content = fs.readFileSync(dockerfilePath, 'utf8');
+  return ids.filter(id => !new RegExp(`--mount=type=secret,([^\\s]*,)?id=${id.replace(/[.]/g, '\\.')}(,|\\s|$)`, 'm').test(content));
+}
+
+/**
+ * Validate the build section of gcp-deploy.json, returning a list of problems
+ */
+export function validateBuildConfig(build) {
+  const errors = [];
+  if (build === undefined) return errors;
+
+  if (typeof build !== 'object' || build === null || Array.isArray(build)) {
+    return ['build must be an object'];
+  }
+
+  for (const [name, value] of Object.entries(build.args || {})) {
+    if (!NAME_PATTERN.test(name) || name.endsWith('*')) {
+      errors.push(`build.args.${name} is not a valid variable name`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      errors.push(`build.args.${name} must be a string, number or boolean`);
+    }
+  }
+
+  if (build.env !== undefined) {
+    if (!Array.isArray(build.env)) {
+      errors.push('build.env must be a list of variable names (e.g. ["SENTRY_RELEASE", "PUBLIC_*"])');
+    } else {
+      build.env.filter(name => typeof name !== 'string' || !NAME_PATTERN.test(name))
+        .forEach(name => errors.push(`build.env entry "${name}" must be a variable name or a PREFIX_* pattern`));
+    }
+  }
+
+  for (const [id, source] of Object.entries(build.secrets || {})) {
+    if (!SECRET_ID_PATTERN.test(id)) {
+      errors.push(`build.secrets.${id} is not a valid secret id`);
+    }
+    const valid = typeof source === 'string'
+      ? NAME_PATTERN.test(source) && !source.endsWith('*')
+      : Boolean(source && (typeof source.env === 'string' || typeof source.file === 'string'));
+    if (!valid) {
+      errors.push(`build.secrets.${id} must be an env variable name, { "env": "NAME" } or { "file": "path" }`);
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+
+const CLOUD_BUILD_FILE = 'cloudbuild.yaml';
+
+/**
+ * Build-only Cloud Build config, shared by `init` and remote builds whose
+ * project has no usable cloudbuild.yaml
+ *
+ * gcp-deploy deploys the image itself, so there is no deploy step. Build
+ * args arrive shell-quoted in _BUILD_ARGS (see formatBuildArgs). defaults
+ * become the substitutions block, for builds started by a trigger.
+ * ALLOW_LOOSE lets callers send substitutions the config does not use.
+ */
+export function generateBuildConfig(defaults = null) {
+  const substitutions = defaults
+    ? `substitutions:\n${Object.entries(defaults).map(([name, value]) => `  ${name}: '${value}'`).join('\n')}\n\n`
+    : '';
+  // Lets the defaults refer to built-in substitutions such as SHORT_SHA
+  const dynamic = defaults ? '\n  dynamicSubstitutions: true' : '';
+
+  return `${substitutions}steps:
+  # Build the container image (BuildKit accepts the secret mounts in
+  # generated Dockerfiles; Cloud Build provides no secrets for them)
+  - name: 'gcr.io/cloud-builders/docker'
+    entrypoint: 'bash'
+    env: ['DOCKER_BUILDKIT=1']
+    args:
+      - '-c'
+      - 'docker build -f "\${_DOCKERFILE}" \${_BUILD_ARGS} -t "\${_IMAGE_TAG}" -t "\${_IMAGE_LATEST}" .'
+
+# Pushed to Artifact Registry once the steps finish
+images:
+  - '\${_IMAGE_TAG}'
+  - '\${_IMAGE_LATEST}'
+
+options:
+  logging: CLOUD_LOGGING_ONLY
+  substitutionOption: ALLOW_LOOSE${dynamic}
+`;
+}
+
+/**
+ * Shell-quoted --build-arg flags for the _BUILD_ARGS substitution
+ */
+export function formatBuildArgs(buildArgs = {}) {
+  return Object.entries(buildArgs)
+    .map(([name, value]) => `--build-arg '${`${name}=${value}`.replace(/'/g, "'\\''")}'`)
+    .join(' ');
+}
+
+/**
+ * Check whether a Cloud Build config references a substitution
+ */
+function referencesSubstitution(content, name) {
+  return new RegExp(`\\$\\{?${name}\\b`).test(content);
+}
+
+/**
+ * Pick the Cloud Build config for a remote build
+ *
+ * Returns the path to use, whether it is the project's own cloudbuild.yaml
+ * and whether that file forwards build args. Monorepo builds also need the
+ * config to accept a _DOCKERFILE substitution. The built-in config is
+ * written to a temp directory; remove it when done.
+ */
+export function resolveBuildConfig(projectDir = process.cwd(), { workspace = false } = {}) {
+  const projectConfig = path.join(projectDir, CLOUD_BUILD_FILE);
+  const required = workspace ? ['_IMAGE_TAG', '_DOCKERFILE'] : ['_IMAGE_TAG'];
+
+  if (fs.existsSync(projectConfig)) {
+    const content = fs.readFileSync(projectConfig, 'utf8');
+    if (required.every(name => referencesSubstitution(content, name))) {
+      return { configPath: projectConfig, isProjectConfig: true, acceptsBuildArgs: referencesSubstitution(content, '_BUILD_ARGS') };
+    }
+  }
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gcp-deploy-'));
+  const configPath = path.join(tmpDir, CLOUD_BUILD_FILE);
+  fs.writeFileSync(configPath, generateBuildConfig());
+  return { configPath, isProjectConfig: false, acceptsBuildArgs: true };
+}
+
+/**
+ * Format substitutions for --substitutions
+ *
+ * Values containing commas switch gcloud to another delimiter (^delim^).
+ * With dynamicSubstitutions, Cloud Build expands $ in values, so it is
+ * escaped as $$.
+ */
+function formatSubstitutions(substitutions, { dynamic = false } = {}) {
+  const pairs = Object.entries(substitutions)
+    .map(([key, value]) => `${key}=${dynamic ? String(value).replace(/\$/g, '$$$$') : value}`);
+  if (!pairs.some(pair => pair.includes(','))) {
+    return pairs.join(',');
+  }
+
+  const delimiter = ['~', '|', ';', '#', '@'].find(candidate => !pairs.some(pair => pair.includes(candidate)));
+  if (!delimiter) {
+    throw new Error('Build args cannot be passed to Cloud Build: their values use every substitution delimiter (, ~ | ; # @)');
+  }
+  return `^${delimiter}^${pairs.join(delimiter)}`;
+}
+
+/**
+ * Submit a source directory to Cloud Build and stream its log
+ *
+ * gcloud packs the source respecting .gcloudignore. Only the substitutions
+ * the config references are sent, since Cloud Build rejects unused ones
+ * unless the config allows them. Each log line is passed to onLine; the
+ * promise rejects if the build fails.
+ */
+export function submitBuild({ projectId, region, configPath, substitutions, sourceDir = process.cwd(), onLine }) {
+  const content = fs.readFileSync(configPath, 'utf8');
+  const substitutionString = formatSubstitutions(
+    Object.fromEntries(Object.entries(substitutions).filter(([name]) => referencesSubstitution(content, name))),
+    { dynamic: /^\s*dynamicSubstitutions:\s*true\b/m.test(content) }
+  );
+
+  const args = [
+    'builds', 'submit',
+    `--config=${configPath}`,
+    `--substitutions=${substitutionString}`,
+    `--project=${projectId}`,
+    `--region=${region}`,
+    sourceDir
+  ];
+
+  return new Promise((resolve, reject) => {
+    const child = spawn('gcloud', args, { cwd: sourceDir });
+    let buffered = '';
+
+    const handleData = (data) => {
+      buffered += data.toString();
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(line => onLine(line));
+    };
+
+    child.stdout.on('data', handleData);
+    child.stderr.on('data', handleData);
+
+    child.on('error', error => {
+      reject(new Error(`Failed to start Cloud Build: ${error.message}`));
+    });
+
+    child.on('close', code => {
+      if (buffered) onLine(buffered);
+
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Cloud Build failed (exit code ${code})`));
+      }
+    });
+  });
+}
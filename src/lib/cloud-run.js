@@ -0,0 +1,158 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { DEFAULT_RUNTIME } from './config.js';
+import { buildSecretsFlagValue } from './secrets.js';
+import { sanitizeBranchName } from './git.js';
+import { GCPClient } from './gcp-client.js';
+
+// Label set on preview services, so prune only deletes services it created
+export const PREVIEW_LABEL = 'gcp-deploy-preview';
+
+// Temporary tag that gives a canary revision its own URL during health checks
+export const HEALTH_CHECK_TAG = 'health-check';
+
+/**
+ * Get the revision tag used for a tagged preview of a branch
+ *
+ * Tags must start with a letter, and `<tag>---<service>` has to fit in a
+ * 63 character DNS label.
+ */
+export function getPreviewTag(branch, serviceName) {
+  let tag = sanitizeBranchName(branch);
+  if (!/^[a-z]/.test(tag)) {
+    tag = `b-${tag}`;
+  }
+
+  return tag
+    .substring(0, Math.max(1, 63 - 3 - serviceName.length))
+    .replace(/-+$/g, '');
+}
+
+/**
+ * Split a tagged preview identifier (`<tag>---<service>`) into its parts
+ *
+ * Returns null for plain service names.
+ */
+export function parseTaggedPreview(name) {
+  const index = name.indexOf('---');
+  if (index <= 0) {
+    return null;
+  }
+
+  return { tag: name.substring(0, index), serviceName: name.substring(index + 3) };
+}
+
+/**
+ * Build gcloud run deploy flags for runtime settings
+ */
+function buildRuntimeFlags(runtime = DEFAULT_RUNTIME) {
+  const flags = [
+    `--memory=${runtime.memory}`,
+    `--cpu=${runtime.cpu}`,
+    `--port=${runtime.port}`
+  ];
+
+  if (runtime.concurrency !== undefined) flags.push(`--concurrency=${runtime.concurrency}`);
+  if (runtime.minInstances !== undefined) flags.push(`--min-instances=${runtime.minInstances}`);
+  if (runtime.maxInstances !== undefined) flags.push(`--max-instances=${runtime.maxInstances}`);
+  if (runtime.timeout !== undefined) flags.push(`--timeout=${runtime.timeout}`);
+  if (runtime.cpuAlwaysAllocated !== undefined) {
+    flags.push(runtime.cpuAlwaysAllocated ? '--no-cpu-throttling' : '--cpu-throttling');
+  }
+  if (runtime.executionEnvironment !== undefined) {
+    flags.push(`--execution-environment=${runtime.executionEnvironment}`);
+  }
+
+  return flags;
+}
+
+/**
+ * Write env vars to a private temp file for --env-vars-file
+ *
+ * JSON is valid YAML, and unlike --set-env-vars it needs no escaping, so
+ * commas, quotes, `$` and newlines in values reach Cloud Run unchanged.
+ * Returns the file path; remove its directory when done.
+ */
+function writeEnvVarsFile(envVars) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gcp-deploy-env-'));
+  const filePath = path.join(dir, 'env.yaml');
+  const values = Object.fromEntries(Object.entries(envVars).map(([key, value]) => [key, String(value)]));
+
+  fs.writeFileSync(filePath, JSON.stringify(values, null, 2), { mode: 0o600 });
+  return filePath;
+}
+
+/**
+ * Deploy an already-pushed image to a Cloud Run service using gcloud CLI
+ *
+ * Options:
+ * - runtime: resolved runtime settings (see resolveRuntimeConfig)
+ * - secrets: env name → { secret, version } mounted from Secret Manager
+ * - noTraffic: create the new revision without sending traffic to it
+ * - tag: revision tag to assign (moved from any older revision)
+ * - replaceEnv: clear env vars and secrets that are not passed instead of
+ *   keeping the ones from the previous revision
+ * - labels: service labels to add or update
+ */
+export function deployImage(config, serviceName, imageUrl, envVars = {}, options = {}) {
+  const envVarsFile = Object.keys(envVars).length > 0 ? writeEnvVarsFile(envVars) : null;
+  const secretsString = buildSecretsFlagValue(options.secrets || {});
+  const labelsString = Object.entries(options.labels || {}).map(([key, value]) => `${key}=${value}`).join(',');
+
+  const command = [
+    'gcloud run deploy',
+    serviceName,
+    `--image=${imageUrl}`,
+    `--region=${config.region}`,
+    `--project=${config.projectId}`,
+    '--platform=managed',
+    '--allow-unauthenticated',
+    ...buildRuntimeFlags(options.runtime),
+    envVarsFile ? `--env-vars-file="${envVarsFile}"` : (options.replaceEnv ? '--clear-env-vars' : ''),
+    secretsString ? `--set-secrets="${secretsString}"` : (options.replaceEnv ? '--clear-secrets' : ''),
+    options.noTraffic ? '--no-traffic' : '',
+    options.tag ? `--tag=${options.tag}` : '',
+    labelsString ? `--update-labels=${labelsString}` : '',
+    '--quiet'
+  ].filter(Boolean).join(' ');
+
+  try {
+    execSync(command, {
+      stdio: 'pipe',
+      encoding: 'utf8'
+    });
+  } finally {
+    if (envVarsFile) {
+      fs.rmSync(path.dirname(envVarsFile), { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Get the URL of a Cloud Run service using gcloud CLI
+ */
+export function describeServiceUrl(config, serviceName) {
+  return execSync(
+    `gcloud run services describe ${serviceName} --region=${config.region} --project=${config.projectId} --format="value(status.url)"`,
+    { encoding: 'utf8', stdio: 'pipe' }
+  ).trim();
+}
+
+/**
+ * Check whether the service template comes from a tagged preview
+ *
+ * Tagged previews become the latest revision without taking traffic, so a
+ * production deploy or rollback must not inherit their env from the template.
+ */
+export async function hasPreviewTemplate(gcpClient, serviceName) {
+  const service = await gcpClient.getService(serviceName);
+  if (!service) return false;
+
+  const latest = GCPClient.getRevisionName(service.latestCreatedRevision);
+  const targets = (await gcpClient.getTrafficSplit(serviceName)).filter(target => target.revision === latest);
+
+  return targets.some(target => target.tag && target.tag !== HEALTH_CHECK_TAG) &&
+    !targets.some(target => target.percent > 0);
+}
@@ -1,12 +1,41 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { nanoid } from 'nanoid';
+import { validateSecretMappings } from './secrets.js';
+import { validateBuildConfig } from './build-args.js';
+import { validateHealthCheckConfig } from './health.js';
+import { validateGitHubConfig } from './github.js';
+import { parseDuration } from './duration.js';
+import { CommandError, ExitCode } from './errors.js';
+import { getFramework, FRAMEWORK_NAMES } from './frameworks/index.js';
 
 const GLOBAL_CONFIG_DIR = path.join(os.homedir(), '.gcp-deploy');
 const GLOBAL_CONFIG_FILE = path.join(GLOBAL_CONFIG_DIR, 'config.json');
 const PROJECT_CONFIG_FILE = 'gcp-deploy.json';
 const DEPLOYMENT_HISTORY_FILE = '.gcp-deploy-history.json';
 
+/**
+ * Default Cloud Run runtime settings, used when gcp-deploy.json has no runtime section
+ */
+export const DEFAULT_RUNTIME = {
+  memory: '512Mi',
+  cpu: '1',
+  port: 3000
+};
+
+const RUNTIME_FIELDS = [
+  'memory',
+  'cpu',
+  'port',
+  'concurrency',
+  'minInstances',
+  'maxInstances',
+  'timeout',
+  'cpuAlwaysAllocated',
+  'executionEnvironment'
+];
+
 /**
  * Ensure global config directory exists
  */
@@ -64,7 +93,7 @@ export function readProjectConfig(projectDir = process.cwd()) {
     const data = fs.readFileSync(configPath, 'utf8');
     return JSON.parse(data);
   } catch (error) {
-    throw new Error(`Error reading project config: ${error.message}`);
+    throw new CommandError(`Error reading project config: ${error.message}`, ExitCode.CONFIG);
   }
 }
 
@@ -90,6 +119,17 @@ export function isProjectInitialized(projectDir = process.cwd()) {
   return fs.existsSync(configPath);
 }
 
+/**
+ * Read project configuration, failing if the project is not initialized
+ */
+export function requireProjectConfig(projectDir = process.cwd()) {
+  if (!isProjectInitialized(projectDir)) {
+    throw new CommandError('Project not initialized. Run `gcp-deploy init` first.', ExitCode.CONFIG);
+  }
+
+  return readProjectConfig(projectDir);
+}
+
 /**
  * Read deployment history
  */
@@ -129,28 +169,151 @@ export function writeDeploymentHistory(history, projectDir = process.cwd()) {
  */
 export function addDeployment(deployment, projectDir = process.cwd()) {
   const history = readDeploymentHistory(projectDir);
-  history.deployments.push({
+  const entry = {
+    id: nanoid(8),
     ...deployment,
     timestamp: new Date().toISOString()
-  });
+  };
+  history.deployments.push(entry);
   writeDeploymentHistory(history, projectDir);
+  return entry;
 }
 
 /**
- * Remove deployment from history
+ * Update a history entry by ID, returning the updated entry
+ */
+export function updateDeployment(id, changes, projectDir = process.cwd()) {
+  const history = readDeploymentHistory(projectDir);
+  const entry = history.deployments.find(d => d.id === id);
+  if (!entry) return null;
+
+  Object.assign(entry, changes);
+  writeDeploymentHistory(history, projectDir);
+  return entry;
+}
+
+/**
+ * Check whether a history entry is a deploy that went live
+ *
+ * Entries recorded before deploy statuses existed have no status and were
+ * only written for successful deploys.
+ */
+export function isSucceededDeployment(entry) {
+  return !entry.status || entry.status === 'succeeded';
+}
+
+/**
+ * Remove deployment from history, returning the removed entries
  */
 export function removeDeployment(serviceName, projectDir = process.cwd()) {
   const history = readDeploymentHistory(projectDir);
+  const removed = history.deployments.filter(d => d.serviceName === serviceName);
   history.deployments = history.deployments.filter(d => d.serviceName !== serviceName);
   writeDeploymentHistory(history, projectDir);
+  return removed;
+}
+
+/**
+ * Remove a tagged preview from history, keeping the service's other entries
+ *
+ * Returns the removed entries.
+ */
+export function removeTaggedPreview(serviceName, tag, projectDir = process.cwd()) {
+  const history = readDeploymentHistory(projectDir);
+  const isPreview = d => d.serviceName === serviceName && d.tag === tag;
+  const removed = history.deployments.filter(isPreview);
+  history.deployments = history.deployments.filter(d => !isPreview(d));
+  writeDeploymentHistory(history, projectDir);
+  return removed;
 }
 
 /**
  * Get deployment by service name
+ *
+ * Tagged previews share the production service name, so they are skipped
+ * unless a tag is given. Failed and in-progress attempts are ignored.
  */
-export function getDeployment(serviceName, projectDir = process.cwd()) {
+export function getDeployment(serviceName, projectDir = process.cwd(), tag = null) {
   const history = readDeploymentHistory(projectDir);
-  return history.deployments.find(d => d.serviceName === serviceName);
+  return history.deployments.find(d =>
+    d.serviceName === serviceName && (d.tag || null) === tag && isSucceededDeployment(d)
+  );
+}
+
+/**
+ * Get all successful history entries for a service name, oldest first
+ */
+export function getServiceHistory(serviceName, projectDir = process.cwd()) {
+  const history = readDeploymentHistory(projectDir);
+  return history.deployments.filter(d => d.serviceName === serviceName && isSucceededDeployment(d));
+}
+
+/**
+ * Resolve runtime settings for a deployment type
+ *
+ * Values in runtime.production / runtime.preview override the shared runtime values.
+ * The default port comes from the project's framework adapter.
+ */
+export function resolveRuntimeConfig(config, deploymentType = 'production') {
+  const { production, preview, ...shared } = config.runtime || {};
+  const overrides = deploymentType === 'production' ? production : preview;
+
+  return {
+    ...DEFAULT_RUNTIME,
+    port: getFramework(config.framework)?.port ?? DEFAULT_RUNTIME.port,
+    ...shared,
+    ...(overrides || {})
+  };
+}
+
+/**
+ * Validate a single runtime section, returning a list of problems
+ */
+function validateRuntimeSection(runtime, label) {
+  const errors = [];
+  const isInteger = value => Number.isInteger(value);
+
+  for (const field of Object.keys(runtime)) {
+    if (!RUNTIME_FIELDS.includes(field)) {
+      errors.push(`${label}.${field} is not a recognized runtime setting`);
+    }
+  }
+
+  if (runtime.memory !== undefined && !/^\d+(Mi|Gi)$/.test(String(runtime.memory))) {
+    errors.push(`${label}.memory must look like "512Mi" or "2Gi"`);
+  }
+
+  if (runtime.cpu !== undefined && !/^(\d+(\.\d+)?|\d+m)$/.test(String(runtime.cpu))) {
+    errors.push(`${label}.cpu must be a number of CPUs (e.g. "1", "2") or millicores (e.g. "1000m")`);
+  }
+
+  if (runtime.port !== undefined && (!isInteger(runtime.port) || runtime.port < 1 || runtime.port > 65535)) {
+    errors.push(`${label}.port must be an integer between 1 and 65535`);
+  }
+
+  if (runtime.concurrency !== undefined && (!isInteger(runtime.concurrency) || runtime.concurrency < 1 || runtime.concurrency > 1000)) {
+    errors.push(`${label}.concurrency must be an integer between 1 and 1000`);
+  }
+
+  for (const field of ['minInstances', 'maxInstances']) {
+    if (runtime[field] !== undefined && (!isInteger(runtime[field]) || runtime[field] < 0)) {
+      errors.push(`${label}.${field} must be a non-negative integer`);
+    }
+  }
+
+  if (runtime.timeout !== undefined && (!isInteger(runtime.timeout) || runtime.timeout < 1 || runtime.timeout > 3600)) {
+    errors.push(`${label}.timeout must be a number of seconds between 1 and 3600`);
+  }
+
+  if (runtime.cpuAlwaysAllocated !== undefined && typeof runtime.cpuAlwaysAllocated !== 'boolean') {
+    errors.push(`${label}.cpuAlwaysAllocated must be true or false`);
+  }
+
+  if (runtime.executionEnvironment !== undefined && !['gen1', 'gen2'].includes(runtime.executionEnvironment)) {
+    errors.push(`${label}.executionEnvironment must be "gen1" or "gen2"`);
+  }
+
+  return errors;
 }
 
 /**
@@ -161,7 +324,61 @@ export function validateProjectConfig(config) {
   const missing = required.filter(field => !config[field]);
 
   if (missing.length > 0) {
-    throw new Error(`Missing required configuration fields: ${missing.join(', ')}`);
+    throw new CommandError(`Missing required configuration fields: ${missing.join(', ')}`, ExitCode.CONFIG);
+  }
+
+  if (config.framework !== undefined && !getFramework(config.framework)) {
+    throw new CommandError(`Invalid framework "${config.framework}". Use one of: ${FRAMEWORK_NAMES.join(', ')}`, ExitCode.CONFIG);
+  }
+
+  if (config.runtime !== undefined) {
+    const { production, preview, ...shared } = config.runtime;
+    const errors = [
+      ...validateRuntimeSection(shared, 'runtime'),
+      ...validateRuntimeSection(production || {}, 'runtime.production'),
+      ...validateRuntimeSection(preview || {}, 'runtime.preview')
+    ];
+
+    // Check min/max against the values each deployment type actually gets
+    for (const type of ['production', 'preview']) {
+      const runtime = resolveRuntimeConfig(config, type);
+      if (runtime.minInstances !== undefined && runtime.maxInstances !== undefined &&
+          runtime.minInstances > runtime.maxInstances) {
+        errors.push(`${type} minInstances (${runtime.minInstances}) is greater than maxInstances (${runtime.maxInstances})`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new CommandError(`Invalid runtime configuration:\n  - ${errors.join('\n  - ')}`, ExitCode.CONFIG);
+    }
+  }
+
+  if (config.previews?.mode !== undefined && !['service', 'tag'].includes(config.previews.mode)) {
+    throw new CommandError('Invalid previews configuration: previews.mode must be "service" or "tag"', ExitCode.CONFIG);
+  }
+
+  if (config.previews?.ttl !== undefined && parseDuration(config.previews.ttl) === null) {
+    throw new CommandError('Invalid previews configuration: previews.ttl must be a duration like "7d", "12h" or "2w"', ExitCode.CONFIG);
+  }
+
+  const buildErrors = validateBuildConfig(config.build);
+  if (buildErrors.length > 0) {
+    throw new CommandError(`Invalid build configuration:\n  - ${buildErrors.join('\n  - ')}`, ExitCode.CONFIG);
+  }
+
+  const healthCheckErrors = validateHealthCheckConfig(config.healthCheck);
+  if (healthCheckErrors.length > 0) {
+    throw new CommandError(`Invalid healthCheck configuration:\n  - ${healthCheckErrors.join('\n  - ')}`, ExitCode.CONFIG);
+  }
+
+  const githubErrors = validateGitHubConfig(config.github);
+  if (githubErrors.length > 0) {
+    throw new CommandError(`Invalid github configuration:\n  - ${githubErrors.join('\n  - ')}`, ExitCode.CONFIG);
+  }
+
+  const secretErrors = validateSecretMappings(config.secrets);
+  if (secretErrors.length > 0) {
+    throw new CommandError(`Invalid secrets configuration:\n  - ${secretErrors.join('\n  - ')}`, ExitCode.CONFIG);
   }
 
   return true;
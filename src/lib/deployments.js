@@ -0,0 +1,171 @@
+import { execSync } from 'child_process';
+import { readDeploymentHistory, removeDeployment, removeTaggedPreview, isSucceededDeployment } from './config.js';
+import { listDomainMappings } from './domains.js';
+import { PREVIEW_LABEL, HEALTH_CHECK_TAG } from './cloud-run.js';
+
+/**
+ * Fetch production and preview deployments from Cloud Run, matched with local history
+ *
+ * Separate-service previews are Cloud Run services named <service>-*,
+ * tagged previews are revision tags on the production service and are
+ * identified as <tag>---<service>. Previews are `managed` when gcp-deploy
+ * created them: recorded in history, or a service with the preview label.
+ * Other services that merely share the name prefix are never managed.
+ * Tags are only listed when they are in history or their revision has the
+ * preview label; health check and hand-added tags are left out.
+ */
+export function fetchDeployments(config, projectDir = process.cwd()) {
+  // Get all Cloud Run services using gcloud CLI
+  const servicesOutput = execSync(
+    `gcloud run services list --region=${config.region} --project=${config.projectId} --format=json`,
+    { encoding: 'utf8', stdio: 'pipe' }
+  );
+
+  const allServices = JSON.parse(servicesOutput);
+
+  // Read local deployment history, ignoring attempts that never went live
+  const history = readDeploymentHistory(projectDir);
+  history.deployments = history.deployments.filter(isSucceededDeployment);
+
+  // Filter services that match our service name pattern
+  const relevantServices = allServices.filter(service => {
+    const name = service.metadata?.name || '';
+    return name === config.serviceName || name.startsWith(`${config.serviceName}-`);
+  });
+
+  // Custom domains are optional; listing them needs the beta gcloud component
+  let domainMappings = [];
+  try {
+    domainMappings = listDomainMappings(config);
+  } catch (error) {
+    // Show deployments without domains
+  }
+
+  // Separate production and preview deployments
+  const production = [];
+  const preview = [];
+
+  for (const service of relevantServices) {
+    const serviceName = service.metadata?.name || '';
+    const url = service.status?.url || service.status?.address?.url || 'N/A';
+    const readyCondition = service.status?.conditions?.find(c => c.type === 'Ready');
+
+    // Find in history (newest entry wins for timing, first for type)
+    const entries = history.deployments.filter(d => d.serviceName === serviceName && !d.tag);
+    const historyEntry = entries[0];
+    const lastEntry = entries[entries.length - 1];
+
+    const deployment = {
+      serviceName,
+      service: serviceName,
+      tag: null,
+      url,
+      updatedAt: lastEntry?.timestamp || readyCondition?.lastTransitionTime ||
+        service.metadata?.updateTime || service.metadata?.creationTimestamp,
+      type: historyEntry?.type || (serviceName === config.serviceName ? 'production' : 'preview'),
+      branch: historyEntry?.branch || 'unknown',
+      image: service.spec?.template?.spec?.containers?.[0]?.image || 'N/A',
+      managed: entries.length > 0 || service.metadata?.labels?.[PREVIEW_LABEL] === 'true',
+      traffic: service.status?.traffic || [],
+      domains: domainMappings.filter(mapping => mapping.service === serviceName).map(mapping => mapping.domain)
+    };
+
+    if (deployment.type === 'production') {
+      production.push(deployment);
+    } else {
+      preview.push(deployment);
+    }
+
+    // Tagged previews live on the service as zero-traffic revision tags
+    let labelledRevisions = null;
+    for (const target of deployment.traffic.filter(t => t.tag && t.tag !== HEALTH_CHECK_TAG)) {
+      const tagEntry = history.deployments
+        .filter(d => d.serviceName === serviceName && d.tag === target.tag)
+        .pop();
+
+      if (!tagEntry) {
+        labelledRevisions = labelledRevisions || listLabelledRevisions(config, serviceName);
+        if (!labelledRevisions.has(target.revisionName)) continue;
+      }
+
+      preview.push({
+        serviceName: `${target.tag}---${serviceName}`,
+        service: serviceName,
+        tag: target.tag,
+        url: target.url || 'N/A',
+        updatedAt: tagEntry?.timestamp,
+        type: 'preview',
+        branch: tagEntry?.branch || target.tag,
+        revision: target.revisionName,
+        image: tagEntry?.image || 'N/A',
+        managed: true
+      });
+    }
+  }
+
+  return { production, preview };
+}
+
+/**
+ * Names of a service's revisions that carry the preview label
+ */
+function listLabelledRevisions(config, serviceName) {
+  const output = execSync(
+    `gcloud run revisions list --service=${serviceName} --region=${config.region} --project=${config.projectId} --filter=metadata.labels.${PREVIEW_LABEL}=true --format=json`,
+    { encoding: 'utf8', stdio: 'pipe' }
+  );
+
+  return new Set(JSON.parse(output).map(revision => revision.metadata?.name));
+}
+
+/**
+ * Delete a preview deployment from Cloud Run and local history
+ *
+ * Returns the removed history entries.
+ */
+export async function deletePreview(gcpClient, deployment, projectDir = process.cwd()) {
+  if (deployment.tag) {
+    await gcpClient.removeTrafficTag(deployment.service, deployment.tag);
+    return removeTaggedPreview(deployment.service, deployment.tag, projectDir);
+  }
+
+  await gcpClient.deleteService(deployment.service);
+  return removeDeployment(deployment.service, projectDir);
+}
+
+/**
+ * Pick the previews that should be pruned
+ *
+ * A preview is a candidate when it is older than olderThan (ms) or its
+ * branch is in mergedBranches. keepLatest always keeps the newest N previews
+ * of each branch; on its own it prunes everything beyond those N.
+ */
+export function selectStalePreviews(previews, { olderThan = null, mergedBranches = null, keepLatest = null, now = Date.now() }) {
+  const kept = new Set();
+
+  if (keepLatest !== null) {
+    const byBranch = {};
+    for (const preview of previews) {
+      (byBranch[preview.branch] = byBranch[preview.branch] || []).push(preview);
+    }
+
+    for (const branchPreviews of Object.values(byBranch)) {
+      branchPreviews
+        .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))
+        .slice(0, keepLatest)
+        .forEach(preview => kept.add(preview));
+    }
+  }
+
+  const hasCriteria = olderThan !== null || mergedBranches !== null;
+
+  return previews.filter(preview => {
+    if (kept.has(preview)) return false;
+    if (!hasCriteria) return true;
+
+    const age = preview.updatedAt ? now - new Date(preview.updatedAt).getTime() : null;
+    if (olderThan !== null && age !== null && age > olderThan) return true;
+    if (mergedBranches !== null && mergedBranches.has(preview.branch)) return true;
+    return false;
+  });
+}
@@ -0,0 +1,112 @@
+import { execSync } from 'child_process';
+
+/**
+ * Build the common gcloud flags for domain mapping commands
+ */
+function domainFlags(config) {
+  return `--region=${config.region} --project=${config.projectId}`;
+}
+
+/**
+ * Normalize a gcloud domain mapping into { domain, service, records, certificate, ready }
+ *
+ * certificate and ready are 'True', 'False' or 'Unknown' as reported by Cloud Run.
+ */
+function toDomainMapping(mapping) {
+  const conditions = mapping.status?.conditions || [];
+  const condition = type => conditions.find(c => c.type === type);
+
+  return {
+    domain: mapping.metadata?.name,
+    service: mapping.spec?.routeName,
+    records: (mapping.status?.resourceRecords || []).map(record => ({
+      name: record.name || '@',
+      type: record.type,
+      rrdata: record.rrdata
+    })),
+    certificate: condition('CertificateProvisioned')?.status || 'Unknown',
+    ready: condition('Ready')?.status || 'Unknown',
+    message: condition('Ready')?.message || condition('CertificateProvisioned')?.message || null
+  };
+}
+
+/**
+ * List domain mappings in the project region
+ */
+export function listDomainMappings(config) {
+  const output = execSync(
+    `gcloud beta run domain-mappings list ${domainFlags(config)} --format=json`,
+    { encoding: 'utf8', stdio: 'pipe' }
+  );
+  return JSON.parse(output).map(toDomainMapping);
+}
+
+/**
+ * Get a domain mapping, or null if the domain is not mapped
+ */
+export function getDomainMapping(config, domain) {
+  try {
+    const output = execSync(
+      `gcloud beta run domain-mappings describe --domain=${domain} ${domainFlags(config)} --format=json`,
+      { encoding: 'utf8', stdio: 'pipe' }
+    );
+    return toDomainMapping(JSON.parse(output));
+  } catch (error) {
+    if (error.stderr?.toString().includes('NOT_FOUND') || error.stderr?.toString().includes('not found')) {
+      return null;
+    }
+    throw new Error(`Failed to describe domain mapping ${domain}: ${error.stderr?.toString() || error.message}`);
+  }
+}
+
+/**
+ * Map a domain to a Cloud Run service
+ *
+ * The domain must be verified for the gcloud account
+ * (gcloud domains verify <domain>).
+ */
+export function createDomainMapping(config, domain, serviceName) {
+  try {
+    const output = execSync(
+      `gcloud beta run domain-mappings create --service=${serviceName} --domain=${domain} ${domainFlags(config)} --format=json`,
+      { encoding: 'utf8', stdio: 'pipe' }
+    );
+    return toDomainMapping(JSON.parse(output));
+  } catch (error) {
+    throw new Error(`Failed to map ${domain}: ${error.stderr?.toString() || error.message}`);
+  }
+}
+
+/**
+ * Delete a domain mapping
+ */
+export function deleteDomainMapping(config, domain) {
+  try {
+    execSync(
+      `gcloud beta run domain-mappings delete --domain=${domain} ${domainFlags(config)} --quiet`,
+      { stdio: 'pipe' }
+    );
+    return true;
+  } catch (error) {
+    throw new Error(`Failed to delete domain mapping ${domain}: ${error.stderr?.toString() || error.message}`);
+  }
+}
+
+/**
+ * Poll a domain mapping until its certificate is provisioned
+ *
+ * Resolves with the last mapping seen; check mapping.certificate to tell
+ * success from a timeout. onPoll receives each intermediate mapping.
+ */
+export async function waitForCertificate(config, domain, { timeout = 15 * 60 * 1000, interval = 15000, onPoll } = {}) {
+  const deadline = Date.now() + timeout;
+  let mapping = getDomainMapping(config, domain);
+
+  while (mapping && mapping.certificate !== 'True' && mapping.certificate !== 'False' && Date.now() < deadline) {
+    if (onPoll) onPoll(mapping);
+    await new Promise(resolve => setTimeout(resolve, interval));
+    mapping = getDomainMapping(config, domain);
+  }
+
+  return mapping;
+}
@@ -0,0 +1,54 @@
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration like "30m", "12h", "7d" or "2w" into milliseconds
+ *
+ * Returns null if the value is not a valid duration.
+ */
+export function parseDuration(value) {
+  const match = /^(\d+)\s*([smhdw])$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  return Number(match[1]) * UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Format a millisecond age as a short human readable string
+ */
+export function formatAge(ms) {
+  if (ms < UNITS.h) return `${Math.max(1, Math.round(ms / UNITS.m))}m`;
+  if (ms < UNITS.d) return `${Math.round(ms / UNITS.h)}h`;
+  return `${Math.round(ms / UNITS.d)}d`;
+}
+
+/**
+ * Parse a point in time: a duration ago ("7d") or a date ("2024-01-15")
+ *
+ * Returns a Date, or null if the value is neither.
+ */
+export function parseTime(value, now = Date.now()) {
+  const duration = parseDuration(value);
+  if (duration !== null) {
+    return new Date(now - duration);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a duration in milliseconds, e.g. "850ms", "42s" or "3m 5s"
+ */
+export function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < UNITS.m) return `${Math.round(ms / 100) / 10}s`;
+  return `${Math.floor(ms / UNITS.m)}m ${Math.round((ms % UNITS.m) / 1000)}s`;
+}
@@ -0,0 +1,328 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { sanitizeBranchName } from './git.js';
+
+// KEY=value assignments as dotenv reads them, capturing the opening quote
+const ASSIGNMENT = /^\s*(?:export\s+)?([\w.-]+)\s*=\s*(['"`])?/;
+
+/**
+ * Parse env file content without expanding variables
+ *
+ * Parsing follows dotenv: `export` prefixes, quoted multiline values and
+ * inline comments. Double-quoted values also unescape \n, \r, \" and \\,
+ * where dotenv only handles line breaks. Returns the values and the keys
+ * whose values were single- or backtick-quoted, which are literal.
+ */
+function parseEnvContent(content) {
+  const values = dotenv.parse(content);
+  const literal = new Set();
+  const doubleQuoted = new Map();
+
+  const lines = content.split(/\r?\n/);
+  for (const { key, start, end } of findAssignments(lines)) {
+    const match = lines[start].match(ASSIGNMENT);
+    const quote = match[2];
+    if (quote === "'" || quote === '`') {
+      literal.add(key);
+    } else {
+      literal.delete(key);
+    }
+
+    if (quote === '"') {
+      const text = lines.slice(start, end).join('\n').slice(match[0].length);
+      const close = findClosingQuote(text, quote);
+      doubleQuoted.set(key, (close === -1 ? text : text.slice(0, close))
+        .replace(/\\([nr"\\])/g, (escape, char) => ({ n: '\n', r: '\r' })[char] || char));
+    } else {
+      doubleQuoted.delete(key);
+    }
+  }
+
+  for (const [key, value] of doubleQuoted) {
+    values[key] = value;
+  }
+
+  return { values, literal };
+}
+
+/**
+ * Read an env file without expanding variables
+ */
+function readEnvFile(envPath) {
+  return parseEnvContent(fs.readFileSync(envPath, 'utf8'));
+}
+
+/**
+ * Expand ${VAR}, ${VAR:-default} and $VAR references
+ *
+ * References resolve against the other variables first, then the process
+ * environment. Keys in `literal` are left as they are, and \$ produces a
+ * literal dollar sign.
+ */
+export function expandEnvVars(values, { literal = new Set(), env = process.env } = {}) {
+  const expanded = {};
+  const resolving = new Set();
+
+  const lookup = (name) => {
+    if (name in values) return resolve(name);
+    return env[name];
+  };
+
+  const resolve = (key) => {
+    if (key in expanded) return expanded[key];
+    if (literal.has(key)) return (expanded[key] = values[key]);
+
+    // A variable that refers back to itself expands to the outer value
+    if (resolving.has(key)) return env[key] ?? '';
+    resolving.add(key);
+
+    const value = values[key].replace(
+      /\\\$|\$\{([\w.-]+)(?:(:?-)([^}]*))?\}|\$([A-Za-z_][\w]*)/g,
+      (match, braced, operator, fallback, bare) => {
+        if (match === '\\$') return '$';
+
+        const current = lookup(braced || bare);
+        if (operator === ':-' && !current) return fallback;
+        if (operator === '-' && current === undefined) return fallback;
+        return current ?? '';
+      }
+    );
+
+    resolving.delete(key);
+    return (expanded[key] = value);
+  };
+
+  for (const key of Object.keys(values)) {
+    resolve(key);
+  }
+
+  return expanded;
+}
+
+/**
+ * Parse environment variables from .env file
+ */
+export function parseEnvFile(envPath) {
+  if (!fs.existsSync(envPath)) {
+    return {};
+  }
+
+  try {
+    const { values, literal } = readEnvFile(envPath);
+    return expandEnvVars(values, { literal });
+  } catch (error) {
+    console.warn(chalk.yellow(`Warning: Could not parse ${path.basename(envPath)}: ${error.message}`));
+    return {};
+  }
+}
+
+/**
+ * Env files for a deployment, in load order (later files override earlier ones)
+ */
+export function getEnvFiles(deploymentType, branch) {
+  const files = ['.env', `.env.${deploymentType}`];
+
+  if (branch) {
+    const branchFile = `.env.${sanitizeBranchName(branch)}`;
+    if (!files.includes(branchFile)) {
+      files.push(branchFile);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Load and merge the layered env files for a deployment
+ *
+ * Variables are expanded after merging, so a later file can refer to values
+ * from an earlier one. Returns the merged variables, the files that were
+ * found and, for each variable, the file its value came from.
+ */
+export function loadEnvFiles(deploymentType, branch, projectDir = process.cwd()) {
+  const merged = {};
+  const literal = new Set();
+  const sources = {};
+  const files = [];
+
+  for (const file of getEnvFiles(deploymentType, branch)) {
+    const filePath = path.join(projectDir, file);
+    if (!fs.existsSync(filePath)) continue;
+
+    let parsed;
+    try {
+      parsed = readEnvFile(filePath);
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Could not parse ${file}: ${error.message}`));
+      continue;
+    }
+
+    files.push(file);
+    for (const [key, value] of Object.entries(parsed.values)) {
+      merged[key] = value;
+      sources[key] = file;
+      if (parsed.literal.has(key)) {
+        literal.add(key);
+      } else {
+        literal.delete(key);
+      }
+    }
+  }
+
+  return { envVars: expandEnvVars(merged, { literal }), files, sources };
+}
+
+/**
+ * Describe a deploy's environment for the history without storing values
+ *
+ * secrets maps names to { secret, version }. Returns the sorted variable
+ * names and a hash of names and values, so a later deploy can tell whether
+ * its environment is the same.
+ */
+export function fingerprintEnv(envVars = {}, secrets = {}) {
+  const entries = [
+    ...Object.entries(envVars).map(([key, value]) => [key, String(value)]),
+    ...Object.entries(secrets).map(([key, { secret, version }]) => [key, `secret:${secret}:${version}`])
+  ].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  return {
+    keys: entries.map(([key]) => key),
+    hash: crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex')
+  };
+}
+
+/**
+ * Format a value for an env file line, quoting when needed
+ *
+ * Single and backtick quotes keep the value literal (no escapes or
+ * expansion). Values they cannot hold are double-quoted with \, ", $ and
+ * line breaks escaped. Throws if reading the line back would not return
+ * exactly the same value.
+ */
+function formatEnvValue(key, value) {
+  const stringValue = String(value);
+  // dotenv normalizes \r and treats \ before a quote as an escape
+  const literalSafe = !/[\\\r]/.test(stringValue);
+  let formatted;
+
+  if (/^[A-Za-z0-9_./:@+-]*$/.test(stringValue)) {
+    formatted = stringValue;
+  } else if (literalSafe && !stringValue.includes("'")) {
+    formatted = `'${stringValue}'`;
+  } else if (literalSafe && !stringValue.includes('`')) {
+    formatted = `\`${stringValue}\``;
+  } else {
+    formatted = `"${stringValue.replace(/[\\"$]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+  }
+
+  const { values, literal } = parseEnvContent(`${key}=${formatted}\n`);
+  if (expandEnvVars(values, { literal, env: {} })[key] !== stringValue) {
+    throw new Error(`${key} cannot be written to an env file without changing its value`);
+  }
+
+  return formatted;
+}
+
+/**
+ * Find the closing quote in text that follows an opening quote
+ *
+ * Backslash-escaped characters are skipped. Returns -1 if there is none.
+ */
+function findClosingQuote(text, quote) {
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the lines of each assignment, including quoted multiline values
+ *
+ * Returns [{ key, start, end }] with end exclusive.
+ */
+function findAssignments(lines) {
+  const assignments = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(ASSIGNMENT);
+    if (!match) continue;
+
+    let end = i + 1;
+    const quote = match[2];
+    if (quote) {
+      const rest = lines[i].slice(match[0].length);
+      if (findClosingQuote(rest, quote) === -1) {
+        while (end < lines.length && !lines[end].includes(quote)) end++;
+        end = Math.min(end + 1, lines.length);
+      }
+    }
+
+    assignments.push({ key: match[1], start: i, end });
+    i = end - 1;
+  }
+
+  return assignments;
+}
+
+/**
+ * Set a variable in an env file, keeping all other lines as they are
+ */
+export function setEnvFileValue(envPath, key, value) {
+  const lines = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8').split('\n') : [];
+  const line = `${key}=${formatEnvValue(key, value)}`;
+  const existing = findAssignments(lines).filter(a => a.key === key).pop();
+
+  if (existing) {
+    lines.splice(existing.start, existing.end - existing.start, line);
+  } else {
+    // Insert before a trailing newline so the file keeps ending with one
+    if (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.splice(lines.length - 1, 0, line);
+    } else {
+      lines.push(line, '');
+    }
+  }
+
+  fs.writeFileSync(envPath, lines.join('\n'));
+}
+
+/**
+ * Remove a variable from an env file, returning whether it was present
+ */
+export function removeEnvFileValue(envPath, key) {
+  if (!fs.existsSync(envPath)) {
+    return false;
+  }
+
+  const lines = fs.readFileSync(envPath, 'utf8').split('\n');
+  const matches = findAssignments(lines).filter(a => a.key === key);
+
+  if (matches.length === 0) {
+    return false;
+  }
+
+  for (const { start, end } of matches.reverse()) {
+    lines.splice(start, end - start);
+  }
+
+  fs.writeFileSync(envPath, lines.join('\n'));
+  return true;
+}
+
+/**
+ * Write a complete env file from an object
+ */
+export function writeEnvFile(envPath, envVars, header) {
+  const lines = header ? [`# ${header}`] : [];
+  for (const [key, value] of Object.entries(envVars)) {
+    lines.push(`${key}=${formatEnvValue(key, value)}`);
+  }
+  fs.writeFileSync(envPath, `${lines.join('\n')}\n`);
+}
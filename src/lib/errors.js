@@ -0,0 +1,60 @@
+/**
+ * Process exit codes, one per failure class
+ */
+export const ExitCode = {
+  SUCCESS: 0,
+  ERROR: 1,         // Unexpected failure
+  USAGE: 2,         // Invalid arguments or options
+  CONFIG: 3,        // Project not initialized or invalid gcp-deploy.json
+  AUTH: 4,          // Not authenticated or permission denied
+  NOT_FOUND: 5,     // Deployment, revision, secret or domain not found
+  PREREQUISITE: 6,  // Docker not running or required API disabled
+  BUILD: 7,         // Docker or Cloud Build failure
+  DEPLOY: 8,        // Cloud Run deploy or traffic update failure
+  CANCELLED: 9,     // Confirmation declined
+  HEALTH_CHECK: 10  // New revision failed its post-deploy health checks
+};
+
+/**
+ * Error that ends a command with a specific exit code
+ *
+ * Set reported when the command already printed the error and any hints,
+ * so it is not printed a second time.
+ */
+export class CommandError extends Error {
+  constructor(message, exitCode = ExitCode.ERROR, { reported = false } = {}) {
+    super(message);
+    this.name = 'CommandError';
+    this.exitCode = exitCode;
+    this.reported = reported;
+  }
+}
+
+/**
+ * Get the exit code for any error thrown by a command
+ *
+ * Errors from Google APIs and gcloud are classified by their status.
+ */
+export function getExitCode(error) {
+  if (error instanceof CommandError) {
+    return error.exitCode;
+  }
+
+  const message = `${error.message || ''} ${error.stderr?.toString() || ''}`;
+
+  // gRPC codes: 5 NOT_FOUND, 7 PERMISSION_DENIED, 16 UNAUTHENTICATED
+  if (error.code === 7 || error.code === 16 || /PERMISSION_DENIED|UNAUTHENTICATED|\b403\b/.test(message)) {
+    return ExitCode.AUTH;
+  }
+  if (error.code === 5 || /NOT_FOUND|\b404\b/.test(message)) {
+    return ExitCode.NOT_FOUND;
+  }
+  return ExitCode.ERROR;
+}
+
+/**
+ * Get the name of an exit code (e.g. "AUTH")
+ */
+export function getExitCodeName(exitCode) {
+  return Object.keys(ExitCode).find(name => ExitCode[name] === exitCode) || 'ERROR';
+}
@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import { dependencyStages, productionDependencyStage, buildStage, runnerStage, staticServerStage } from './dockerfile.js';
+
+/**
+ * Check whether an Astro project builds a Node server
+ */
+function hasNodeAdapter(context) {
+  return Boolean(context.dependencies['@astrojs/node']);
+}
+
+/**
+ * Astro: standalone Node server with @astrojs/node, otherwise the static build
+ */
+export default {
+  name: 'astro',
+  displayName: 'Astro',
+  port: 4321,
+  buildEnvPrefixes: ['PUBLIC_'],
+
+  detect(context) {
+    return Boolean(context.dependencies.astro);
+  },
+
+  startCommand(context) {
+    return hasNodeAdapter(context) ? 'node ./dist/server/entry.mjs' : 'nginx (static files from dist/)';
+  },
+
+  staticOutputDir(context) {
+    return hasNodeAdapter(context) ? null : 'dist';
+  },
+
+  generateDockerfile(context) {
+    if (!hasNodeAdapter(context)) {
+      return `${dependencyStages(context)}
+
+${buildStage({}, context.buildArgs)}
+
+${staticServerStage(this.port, 'COPY --from=builder /app/dist /usr/share/nginx/html')}
+`;
+    }
+
+    return `${dependencyStages(context)}
+
+${productionDependencyStage(context)}
+
+${buildStage({}, context.buildArgs)}
+
+${runnerStage(this.port)}
+
+COPY --from=prod-deps /app/node_modules ./node_modules
+COPY --from=builder --chown=app:nodejs /app/dist ./dist
+
+USER app
+
+EXPOSE ${this.port}
+
+CMD ["node", "./dist/server/entry.mjs"]
+`;
+  },
+
+  configure(context) {
+    if (!hasNodeAdapter(context)) {
+      return ['No @astrojs/node adapter found, the static build in dist/ will be served by nginx.'];
+    }
+
+    const configPath = ['astro.config.mjs', 'astro.config.ts', 'astro.config.js']
+      .map(file => path.join(context.projectDir, file))
+      .find(file => fs.existsSync(file));
+
+    if (configPath && !fs.readFileSync(configPath, 'utf8').includes('standalone')) {
+      return [`Set the @astrojs/node adapter to mode: "standalone" in ${path.basename(configPath)}.`];
+    }
+    return [];
+  }
+};
@@ -0,0 +1,135 @@
+const NODE_IMAGE = 'node:20-alpine';
+
+/**
+ * Start of a RUN step that installs dependencies
+ *
+ * With build secrets configured, `npmrc` is mounted as the user .npmrc and
+ * `npm_token` is exported as NPM_TOKEN for a project .npmrc that references
+ * it. Secret mounts need BuildKit, so they are left out otherwise.
+ */
+export function installRun(secrets = false) {
+  if (!secrets) return 'RUN \\';
+
+  return `RUN --mount=type=secret,id=npmrc,target=/root/.npmrc \\
+    --mount=type=secret,id=npm_token \\
+  export NPM_TOKEN="$(cat /run/secrets/npm_token 2>/dev/null)"; \\`;
+}
+
+/**
+ * ARG declarations for build args, e.g. NEXT_PUBLIC_* values
+ */
+export function buildArgLines(names = []) {
+  return names.map(name => `ARG ${name}\n`).join('');
+}
+
+/**
+ * Run a package manager command chosen by lockfile
+ */
+function byLockfile({ yarn, npm, pnpm }, { secrets = false } = {}) {
+  return `${installRun(secrets)}
+  if [ -f yarn.lock ]; then ${yarn}; \\
+  elif [ -f package-lock.json ]; then ${npm}; \\
+  elif [ -f pnpm-lock.yaml ]; then corepack enable pnpm && ${pnpm}; \\
+  else echo "Lockfile not found." && exit 1; \\
+  fi`;
+}
+
+/**
+ * Base image plus a deps stage with all dependencies installed
+ */
+export function dependencyStages({ secrets = false } = {}) {
+  return `FROM ${NODE_IMAGE} AS base
+
+# Install dependencies only when needed
+FROM base AS deps
+RUN apk add --no-cache libc6-compat
+WORKDIR /app
+
+# Copy package files
+COPY package.json yarn.lock* package-lock.json* pnpm-lock.yaml* .npmrc* ./
+${byLockfile({
+    yarn: 'yarn --frozen-lockfile',
+    npm: 'npm ci',
+    pnpm: 'pnpm i --frozen-lockfile'
+  }, { secrets })}`;
+}
+
+/**
+ * Stage with production dependencies only, for frameworks whose server
+ * output still imports from node_modules
+ */
+export function productionDependencyStage({ secrets = false } = {}) {
+  return `# Production dependencies only
+FROM base AS prod-deps
+RUN apk add --no-cache libc6-compat
+WORKDIR /app
+COPY package.json yarn.lock* package-lock.json* pnpm-lock.yaml* .npmrc* ./
+${byLockfile({
+    yarn: 'yarn --frozen-lockfile --production',
+    npm: 'npm ci --omit=dev',
+    pnpm: 'pnpm i --frozen-lockfile --prod'
+  }, { secrets })}`;
+}
+
+/**
+ * Builder stage running the project's build script
+ *
+ * buildArgs are declared as ARGs so values passed with --build-arg are
+ * visible to the build (and only to the build).
+ */
+export function buildStage(env = {}, buildArgs = []) {
+  const envLines = Object.entries(env).map(([key, value]) => `ENV ${key}=${value}\n`).join('');
+
+  return `# Rebuild the source code only when needed
+FROM base AS builder
+WORKDIR /app
+COPY --from=deps /app/node_modules ./node_modules
+COPY . .
+${envLines}${buildArgLines(buildArgs)}
+${byLockfile({
+    yarn: 'yarn build',
+    npm: 'npm run build',
+    pnpm: 'pnpm run build'
+  })}`;
+}
+
+/**
+ * Start of the runtime stage with a non-root user
+ */
+export function runnerStage(port) {
+  return `# Production image
+FROM base AS runner
+WORKDIR /app
+
+ENV NODE_ENV=production
+ENV PORT=${port}
+ENV HOST=0.0.0.0
+
+RUN addgroup --system --gid 1001 nodejs
+RUN adduser --system --uid 1001 app`;
+}
+
+/**
+ * Nginx stage serving a directory of static files on the given port
+ *
+ * The nginx image renders /etc/nginx/templates/*.template with envsubst,
+ * so the listen port follows the PORT variable Cloud Run sets.
+ */
+export function staticServerStage(port, from) {
+  return `# Serve static files with nginx
+FROM nginx:1.27-alpine AS runner
+
+ENV PORT=${port}
+
+RUN mkdir -p /etc/nginx/templates && printf 'server {\\n\\
+  listen \${PORT};\\n\\
+  root /usr/share/nginx/html;\\n\\
+  location / {\\n\\
+    try_files $uri $uri/ $uri.html /index.html;\\n\\
+  }\\n\\
+}\\n' > /etc/nginx/templates/default.conf.template
+
+${from}
+
+EXPOSE ${port}`;
+}
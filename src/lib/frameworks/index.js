@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import nextjs from './nextjs.js';
+import remix from './remix.js';
+import nuxt from './nuxt.js';
+import sveltekit from './sveltekit.js';
+import astro from './astro.js';
+import staticSite from './static.js';
+import node from './node.js';
+import { generateWorkspaceDockerfile } from './workspace.js';
+import { getWorkspaceApp } from '../workspace.js';
+
+// Detection order matters: meta-frameworks first, plain Node last
+const ADAPTERS = [nextjs, remix, nuxt, sveltekit, astro, staticSite, node];
+
+// Projects initialized before adapters existed are Next.js apps
+export const DEFAULT_FRAMEWORK = 'nextjs';
+
+export const FRAMEWORK_NAMES = ADAPTERS.map(adapter => adapter.name);
+
+/**
+ * Read what adapters need to know about a project
+ */
+export function readProjectContext(projectDir = process.cwd()) {
+  const packageJsonPath = path.join(projectDir, 'package.json');
+  let packageJson = null;
+
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    } catch (error) {
+      packageJson = null;
+    }
+  }
+
+  return {
+    projectDir,
+    packageJson,
+    dependencies: { ...packageJson?.devDependencies, ...packageJson?.dependencies },
+    scripts: packageJson?.scripts || {},
+    hasFile: (...files) => files.some(file => fs.existsSync(path.join(projectDir, file)))
+  };
+}
+
+/**
+ * Get an adapter by name, or undefined if there is none
+ */
+export function getFramework(name = DEFAULT_FRAMEWORK) {
+  return ADAPTERS.find(adapter => adapter.name === name);
+}
+
+/**
+ * Detect the framework of a project, or null if none matches
+ */
+export function detectFramework(projectDir = process.cwd()) {
+  const context = readProjectContext(projectDir);
+  return ADAPTERS.find(adapter => adapter.detect(context)) || null;
+}
+
+/**
+ * Generate the Dockerfile for a project
+ *
+ * Apps inside a monorepo get a Dockerfile that is built from the workspace
+ * root and pruned to the app's dependency graph. buildArgs are the names the
+ * builder stage declares as ARG; secrets adds BuildKit secret mounts to
+ * dependency installs.
+ */
+export function generateDockerfile(adapter, projectDir = process.cwd(), { buildArgs = [], secrets = false } = {}) {
+  const context = { ...readProjectContext(projectDir), buildArgs, secrets };
+  const workspace = getWorkspaceApp(projectDir);
+
+  return workspace
+    ? generateWorkspaceDockerfile(adapter, context, workspace)
+    : adapter.generateDockerfile(context);
+}
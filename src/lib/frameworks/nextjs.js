@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+import { installRun, buildArgLines } from './dockerfile.js';
+
+/**
+ * Next.js (standalone output)
+ */
+export default {
+  name: 'nextjs',
+  displayName: 'Next.js',
+  port: 3000,
+  buildEnvPrefixes: ['NEXT_PUBLIC_'],
+
+  detect(context) {
+    return Boolean(context.dependencies.next) || context.hasFile('next.config.js', 'next.config.mjs', 'next.config.ts');
+  },
+
+  startCommand() {
+    return 'node server.js';
+  },
+
+  // The standalone server.js sits at a nested path in monorepos, so use next start
+  workspaceStartCommand() {
+    return 'npx next start';
+  },
+
+  generateDockerfile(context) {
+    return `# Detect package manager
+FROM node:20-alpine AS base
+
+# Install dependencies only when needed
+FROM base AS deps
+RUN apk add --no-cache libc6-compat
+WORKDIR /app
+
+# Copy package files
+COPY package.json yarn.lock* package-lock.json* pnpm-lock.yaml* .npmrc* ./
+${installRun(context.secrets)}
+  if [ -f yarn.lock ]; then yarn --frozen-lockfile; \\
+  elif [ -f package-lock.json ]; then npm ci; \\
+  elif [ -f pnpm-lock.yaml ]; then corepack enable pnpm && pnpm i --frozen-lockfile; \\
+  else echo "Lockfile not found." && exit 1; \\
+  fi
+
+# Rebuild the source code only when needed
+FROM base AS builder
+WORKDIR /app
+COPY --from=deps /app/node_modules ./node_modules
+COPY . .
+
+# Next.js collects anonymous telemetry data about general usage.
+# Learn more here: https://nextjs.org/telemetry
+# Disable telemetry during the build.
+ENV NEXT_TELEMETRY_DISABLED=1
+
+# NEXT_PUBLIC_* values are inlined into the client bundle at build time
+${buildArgLines(context.buildArgs)}
+RUN \\
+  if [ -f yarn.lock ]; then yarn build; \\
+  elif [ -f package-lock.json ]; then npm run build; \\
+  elif [ -f pnpm-lock.yaml ]; then corepack enable pnpm && pnpm run build; \\
+  else echo "Lockfile not found." && exit 1; \\
+  fi
+
+# Production image, copy all the files and run next
+FROM base AS runner
+WORKDIR /app
+
+ENV NODE_ENV=production
+ENV NEXT_TELEMETRY_DISABLED=1
+
+RUN addgroup --system --gid 1001 nodejs
+RUN adduser --system --uid 1001 nextjs
+
+COPY --from=builder /app/public ./public
+
+# Set the correct permission for prerender cache
+RUN mkdir .next
+RUN chown nextjs:nodejs .next
+
+# Automatically leverage output traces to reduce image size
+COPY --from=builder --chown=nextjs:nodejs /app/.next/standalone ./
+COPY --from=builder --chown=nextjs:nodejs /app/.next/static ./.next/static
+
+USER nextjs
+
+EXPOSE 3000
+
+ENV PORT=3000
+ENV HOSTNAME="0.0.0.0"
+
+CMD ["node", "server.js"]
+`;
+  },
+
+  /**
+   * Make sure next.config enables standalone output
+   */
+  configure(context) {
+    const nextConfigPath = path.join(context.projectDir, 'next.config.js');
+    const configPath = ['next.config.js', 'next.config.mjs', 'next.config.ts']
+      .map(file => path.join(context.projectDir, file))
+      .find(file => fs.existsSync(file));
+
+    if (configPath) {
+      const content = fs.readFileSync(configPath, 'utf8');
+
+      // Check if standalone output is already configured
+      if (content.includes('output:') && content.includes('standalone')) {
+        return [];
+      }
+
+      return [`Add output: "standalone" to ${path.basename(configPath)}. This is required for Docker deployment.`];
+    }
+
+    // Create a basic next.config.js
+    const basicConfig = `/** @type {import('next').NextConfig} */
+const nextConfig = {
+  output: 'standalone',
+}
+
+module.exports = nextConfig
+`;
+    fs.writeFileSync(nextConfigPath, basicConfig);
+    return ['Created next.config.js with standalone output mode'];
+  }
+};
@@ -0,0 +1,56 @@
+import { dependencyStages, productionDependencyStage, buildStage, runnerStage } from './dockerfile.js';
+
+/**
+ * Plain Node.js servers (Express, Fastify, ...) started with npm start or main
+ */
+export default {
+  name: 'node',
+  displayName: 'Node.js',
+  port: 8080,
+  buildEnvPrefixes: [],
+
+  detect(context) {
+    return Boolean(context.packageJson) && Boolean(context.scripts.start || context.packageJson.main);
+  },
+
+  startCommand(context) {
+    return context.scripts.start ? 'npm start' : `node ${context.packageJson?.main || 'index.js'}`;
+  },
+
+  generateDockerfile(context) {
+    const command = context.scripts.start
+      ? '["npm", "start"]'
+      : `["node", "${context.packageJson?.main || 'index.js'}"]`;
+
+    // With a build step the built app keeps the full node_modules it was built with
+    const app = context.scripts.build
+      ? `${buildStage({}, context.buildArgs)}
+
+${runnerStage(this.port)}
+
+COPY --from=builder --chown=app:nodejs /app ./`
+      : `${runnerStage(this.port)}
+
+COPY --from=prod-deps /app/node_modules ./node_modules
+COPY --chown=app:nodejs . .`;
+
+    return `${dependencyStages(context)}
+
+${productionDependencyStage(context)}
+
+${app}
+
+USER app
+
+EXPOSE ${this.port}
+
+CMD ${command}
+`;
+  },
+
+  configure(context) {
+    return context.scripts.start || context.packageJson?.main
+      ? ['Make sure the server listens on process.env.PORT.']
+      : ['package.json has no "start" script or "main" entry.'];
+  }
+};
@@ -0,0 +1,41 @@
+import { dependencyStages, buildStage, runnerStage } from './dockerfile.js';
+
+/**
+ * Nuxt (Nitro node-server preset)
+ */
+export default {
+  name: 'nuxt',
+  displayName: 'Nuxt',
+  port: 3000,
+  buildEnvPrefixes: ['NUXT_PUBLIC_'],
+
+  detect(context) {
+    return Boolean(context.dependencies.nuxt) || context.hasFile('nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs');
+  },
+
+  startCommand() {
+    return 'node .output/server/index.mjs';
+  },
+
+  generateDockerfile(context) {
+    // Nitro bundles server dependencies into .output, so no node_modules are needed
+    return `${dependencyStages(context)}
+
+${buildStage({ NITRO_PRESET: 'node-server' }, context.buildArgs)}
+
+${runnerStage(this.port)}
+
+COPY --from=builder --chown=app:nodejs /app/.output ./.output
+
+USER app
+
+EXPOSE ${this.port}
+
+CMD ["node", ".output/server/index.mjs"]
+`;
+  },
+
+  configure() {
+    return [];
+  }
+};
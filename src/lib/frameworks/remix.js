@@ -0,0 +1,53 @@
+import { dependencyStages, productionDependencyStage, buildStage, runnerStage } from './dockerfile.js';
+
+/**
+ * Remix served by remix-serve (the project's start script)
+ */
+export default {
+  name: 'remix',
+  displayName: 'Remix',
+  port: 3000,
+  buildEnvPrefixes: ['VITE_'],
+
+  detect(context) {
+    return Object.keys(context.dependencies).some(name => name.startsWith('@remix-run/')) ||
+      context.hasFile('remix.config.js', 'remix.config.mjs');
+  },
+
+  startCommand() {
+    return 'npm run start';
+  },
+
+  generateDockerfile(context) {
+    return `${dependencyStages(context)}
+
+${productionDependencyStage(context)}
+
+${buildStage({}, context.buildArgs)}
+RUN mkdir -p public
+
+${runnerStage(this.port)}
+
+COPY --from=prod-deps /app/node_modules ./node_modules
+COPY --from=builder --chown=app:nodejs /app/package.json ./package.json
+COPY --from=builder --chown=app:nodejs /app/build ./build
+COPY --from=builder --chown=app:nodejs /app/public ./public
+
+USER app
+
+EXPOSE ${this.port}
+
+CMD ["npm", "run", "start"]
+`;
+  },
+
+  configure(context) {
+    if (!context.scripts.start) {
+      return ['package.json has no "start" script. Add one, e.g. "remix-serve ./build/server/index.js".'];
+    }
+    if (!context.dependencies['@remix-run/serve'] && context.scripts.start.includes('remix-serve')) {
+      return ['The start script uses remix-serve but @remix-run/serve is not a dependency.'];
+    }
+    return [];
+  }
+};
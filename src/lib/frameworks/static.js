@@ -0,0 +1,54 @@
+import { dependencyStages, buildStage, staticServerStage } from './dockerfile.js';
+
+/**
+ * Get the build output directory of a static site
+ */
+function getOutputDir(context) {
+  return context.dependencies['react-scripts'] ? 'build' : 'dist';
+}
+
+/**
+ * Static sites: plain HTML, or a package.json build (Vite, Create React App)
+ * without a server, served by nginx
+ */
+export default {
+  name: 'static',
+  displayName: 'Static site',
+  port: 8080,
+  buildEnvPrefixes: ['VITE_', 'REACT_APP_'],
+
+  detect(context) {
+    if (!context.packageJson) {
+      return context.hasFile('index.html');
+    }
+
+    return Boolean(context.scripts.build) && !context.scripts.start &&
+      Boolean(context.dependencies.vite || context.dependencies['react-scripts']);
+  },
+
+  startCommand() {
+    return 'nginx';
+  },
+
+  staticOutputDir(context) {
+    return context.scripts.build ? getOutputDir(context) : '.';
+  },
+
+  generateDockerfile(context) {
+    if (!context.packageJson || !context.scripts.build) {
+      return `${staticServerStage(this.port, 'COPY . /usr/share/nginx/html')}
+`;
+    }
+
+    return `${dependencyStages(context)}
+
+${buildStage({}, context.buildArgs)}
+
+${staticServerStage(this.port, `COPY --from=builder /app/${getOutputDir(context)} /usr/share/nginx/html`)}
+`;
+  },
+
+  configure() {
+    return [];
+  }
+};
@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import { dependencyStages, productionDependencyStage, buildStage, runnerStage } from './dockerfile.js';
+
+/**
+ * SvelteKit with @sveltejs/adapter-node
+ */
+export default {
+  name: 'sveltekit',
+  displayName: 'SvelteKit',
+  port: 3000,
+  buildEnvPrefixes: ['PUBLIC_'],
+
+  detect(context) {
+    return Boolean(context.dependencies['@sveltejs/kit']);
+  },
+
+  startCommand() {
+    return 'node build';
+  },
+
+  generateDockerfile(context) {
+    return `${dependencyStages(context)}
+
+${productionDependencyStage(context)}
+
+${buildStage({}, context.buildArgs)}
+
+${runnerStage(this.port)}
+
+COPY --from=prod-deps /app/node_modules ./node_modules
+COPY --from=builder --chown=app:nodejs /app/package.json ./package.json
+COPY --from=builder --chown=app:nodejs /app/build ./build
+
+USER app
+
+EXPOSE ${this.port}
+
+CMD ["node", "build"]
+`;
+  },
+
+  /**
+   * Cloud Run needs a Node server, which only adapter-node produces
+   */
+  configure(context) {
+    const configPath = path.join(context.projectDir, 'svelte.config.js');
+    const usesAdapterNode = fs.existsSync(configPath) &&
+      fs.readFileSync(configPath, 'utf8').includes('@sveltejs/adapter-node');
+
+    if (context.dependencies['@sveltejs/adapter-node'] && usesAdapterNode) {
+      return [];
+    }
+
+    return ['Cloud Run needs @sveltejs/adapter-node. Install it and use it as the adapter in svelte.config.js.'];
+  }
+};
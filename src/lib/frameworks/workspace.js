@@ -0,0 +1,227 @@
+import fs from 'fs';
+import path from 'path';
+import { staticServerStage, buildArgLines, installRun } from './dockerfile.js';
+import { getWorkspaceDependencies } from '../workspace.js';
+
+const NODE_IMAGE = 'node:20-alpine';
+
+const LOCKFILES = {
+  pnpm: 'pnpm-lock.yaml',
+  yarn: 'yarn.lock',
+  'yarn-berry': 'yarn.lock',
+  npm: 'package-lock.json'
+};
+
+/**
+ * Install command for the whole (possibly pruned) workspace
+ */
+function installCommand(workspace, filtered) {
+  const { packageManager, app } = workspace;
+
+  switch (packageManager) {
+    case 'pnpm':
+      // Installs the app and the workspace packages it depends on
+      return filtered
+        ? `pnpm install --frozen-lockfile --filter "${app.name}..." --filter "."`
+        : 'pnpm install --frozen-lockfile';
+    case 'yarn-berry':
+      return 'yarn install --immutable';
+    case 'yarn':
+      return 'yarn install --frozen-lockfile';
+    default:
+      return 'npm ci';
+  }
+}
+
+/**
+ * Install command that leaves only production dependencies installed
+ */
+function productionInstallCommand(workspace, filtered) {
+  const { packageManager, app } = workspace;
+
+  switch (packageManager) {
+    // CI=true lets pnpm replace the dev install without asking for a TTY
+    case 'pnpm':
+      return filtered
+        ? `CI=true pnpm install --frozen-lockfile --prod --filter "${app.name}..." --filter "."`
+        : 'CI=true pnpm install --frozen-lockfile --prod';
+    case 'yarn-berry':
+      return 'yarn workspaces focus --all --production';
+    case 'yarn':
+      return 'yarn install --frozen-lockfile --production';
+    default:
+      return 'npm prune --omit=dev';
+  }
+}
+
+/**
+ * Whether the runtime image can be limited to the app and its workspace
+ * packages: after `turbo prune`, or with pnpm's filtered install. Nx builds
+ * may write outside the package directories, so they are never pruned.
+ */
+function isPruned(workspace) {
+  return workspace.tool === 'turbo' || (workspace.packageManager === 'pnpm' && workspace.tool !== 'nx');
+}
+
+/**
+ * Build command for the app and its workspace dependencies
+ */
+function buildCommand(workspace) {
+  const { packageManager, tool, app } = workspace;
+
+  if (tool === 'turbo') return `turbo run build --filter="${app.name}..."`;
+  if (tool === 'nx') return `npx nx run ${app.name}:build`;
+
+  switch (packageManager) {
+    case 'pnpm':
+      return `pnpm --filter "${app.name}..." run build`;
+    case 'yarn':
+    case 'yarn-berry':
+      return `yarn workspace ${app.name} run build`;
+    default:
+      return `npm run build --workspace=${app.dir} --if-present`;
+  }
+}
+
+/**
+ * Read the turbo version the workspace pins, so prune matches its lockfile
+ */
+function turboVersion(root) {
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+    const version = packageJson.devDependencies?.turbo || packageJson.dependencies?.turbo;
+    return version ? version.replace(/^[\^~]/, '') : 'latest';
+  } catch (error) {
+    return 'latest';
+  }
+}
+
+/**
+ * Builder stages: prune with `turbo prune` when the repo uses Turborepo,
+ * otherwise copy the repo and install only the app's dependency graph
+ */
+function builderStages(workspace, context) {
+  const corepack = workspace.packageManager === 'npm' ? '' : '\nRUN corepack enable';
+  const buildScript = context.scripts.build
+    ? `\n${buildArgLines(context.buildArgs)}RUN ${buildCommand(workspace)}`
+    : '';
+  const install = (filtered) => `${installRun(context.secrets)}\n  ${installCommand(workspace, filtered)}`;
+
+  if (workspace.tool === 'turbo') {
+    return `FROM ${NODE_IMAGE} AS base
+RUN apk add --no-cache libc6-compat${corepack}
+
+FROM base AS turbo
+RUN npm install -g turbo@${turboVersion(workspace.root)}
+
+# Prune the workspace to ${workspace.app.name} and its dependencies
+FROM turbo AS pruner
+WORKDIR /repo
+COPY . .
+RUN turbo prune ${workspace.app.name} --docker
+
+# Install dependencies from the pruned manifests, then build
+FROM turbo AS builder
+WORKDIR /repo
+COPY --from=pruner /repo/out/json/ ./
+COPY --from=pruner /repo/out/${LOCKFILES[workspace.packageManager]} ./${LOCKFILES[workspace.packageManager]}
+${install(false)}
+COPY --from=pruner /repo/out/full/ ./${buildScript}`;
+  }
+
+  return `FROM ${NODE_IMAGE} AS base
+RUN apk add --no-cache libc6-compat${corepack}
+
+# Install dependencies, then build ${workspace.app.name} and the packages it uses
+FROM base AS builder
+WORKDIR /repo
+COPY . .
+${install(true)}${buildScript}`;
+}
+
+/**
+ * Split a start command into a Dockerfile exec-form CMD
+ */
+function execForm(command) {
+  return JSON.stringify(command.split(' '));
+}
+
+/**
+ * Runtime image content: the pruned workspace with production dependencies
+ * only, or the whole built workspace when it cannot be pruned
+ */
+function runtimeStages(workspace, context) {
+  if (!isPruned(workspace)) {
+    return { stages: '', copy: 'COPY --from=builder --chown=app:nodejs /repo ./' };
+  }
+
+  const stages = `
+
+# Drop dev dependencies once the build is done
+FROM builder AS production
+${installRun(context.secrets)}
+  ${productionInstallCommand(workspace, workspace.tool !== 'turbo')}`;
+
+  // turbo prune already left only the app's packages in /repo
+  if (workspace.tool === 'turbo') {
+    return { stages, copy: 'COPY --from=production --chown=app:nodejs /repo ./' };
+  }
+
+  const dirs = [workspace.app, ...getWorkspaceDependencies(workspace)]
+    .map(pkg => pkg.dir.split(path.sep).join('/'));
+
+  return {
+    stages,
+    copy: [
+      'COPY --from=production --chown=app:nodejs /repo/package.json ./',
+      'COPY --from=production --chown=app:nodejs /repo/node_modules ./node_modules',
+      ...dirs.map(dir => `COPY --from=production --chown=app:nodejs /repo/${dir} ./${dir}`)
+    ].join('\n')
+  };
+}
+
+/**
+ * Dockerfile for an app inside a monorepo
+ *
+ * The build context is the workspace root. The runtime image keeps the
+ * app and the workspace packages it uses (see runtimeStages) so it can
+ * resolve them, and starts from the app's directory.
+ */
+export function generateWorkspaceDockerfile(adapter, context, workspace) {
+  const appDir = workspace.app.dir.split(path.sep).join('/');
+  const builders = builderStages(workspace, context);
+  const outputDir = adapter.staticOutputDir?.(context);
+
+  if (outputDir) {
+    return `${builders}
+
+${staticServerStage(adapter.port, `COPY --from=builder /repo/${appDir}/${outputDir} /usr/share/nginx/html`)}
+`;
+  }
+
+  const command = adapter.workspaceStartCommand?.(context) || adapter.startCommand(context);
+  const runtime = runtimeStages(workspace, context);
+
+  return `${builders}${runtime.stages}
+
+# Production image
+FROM base AS runner
+WORKDIR /repo
+
+ENV NODE_ENV=production
+ENV PORT=${adapter.port}
+ENV HOST=0.0.0.0
+
+RUN addgroup --system --gid 1001 nodejs
+RUN adduser --system --uid 1001 app
+
+${runtime.copy}
+WORKDIR /repo/${appDir}
+
+USER app
+
+EXPOSE ${adapter.port}
+
+CMD ${execForm(command)}
+`;
+}
@@ -1,6 +1,20 @@
-import { ServicesClient } from '@google-cloud/run';
+import { ServicesClient, RevisionsClient } from '@google-cloud/run';
 import { Logging } from '@google-cloud/logging';
 import { execSync } from 'child_process';
+import { DEFAULT_RUNTIME } from './config.js';
+import { createEntryDeduper } from './logs.js';
+
+const LOG_POLL_INTERVAL = 2000;
+const LOG_POLL_LOOKBACK = 10000;
+const MAX_TAIL_FAILURES = 5;
+
+// gRPC codes that reconnecting cannot fix: INVALID_ARGUMENT, PERMISSION_DENIED, UNAUTHENTICATED
+const FATAL_LOG_ERRORS = [3, 7, 16];
+
+const MONITORING_API_URL = 'https://monitoring.googleapis.com/';
+
+// gcloud access tokens last an hour
+const ACCESS_TOKEN_TTL = 30 * 60 * 1000;
 
 /**
  * GCP Client wrapper for Cloud Run and related services
@@ -10,6 +24,7 @@ export class GCPClient {
     this.projectId = projectId;
     this.region = region;
     this.runClient = new ServicesClient();
+    this.revisionsClient = new RevisionsClient();
     this.logging = new Logging({ projectId });
   }
 
@@ -28,32 +43,61 @@ export class GCPClient {
   }
 
   /**
-   * Deploy a new Cloud Run service
+   * Build a revision template from an image, env vars and runtime settings
    */
-  async deployToCloudRun(serviceName, imageUrl, envVars = {}) {
-    const parent = this.getParent();
-
+  buildRevisionTemplate(imageUrl, envVars = {}, runtime = DEFAULT_RUNTIME) {
     const envVarArray = Object.entries(envVars).map(([name, value]) => ({
       name,
       value
     }));
 
-    const service = {
-      template: {
-        containers: [
-          {
-            image: imageUrl,
-            ports: [{ containerPort: 3000 }],
-            env: envVarArray,
-            resources: {
-              limits: {
-                memory: '512Mi',
-                cpu: '1000m'
-              }
-            }
+    const template = {
+      containers: [
+        {
+          image: imageUrl,
+          ports: [{ containerPort: runtime.port }],
+          env: envVarArray,
+          resources: {
+            limits: {
+              memory: runtime.memory,
+              cpu: String(runtime.cpu)
+            },
+            ...(runtime.cpuAlwaysAllocated !== undefined && { cpuIdle: !runtime.cpuAlwaysAllocated })
           }
-        ]
-      }
+        }
+      ]
+    };
+
+    if (runtime.minInstances !== undefined || runtime.maxInstances !== undefined) {
+      template.scaling = {
+        ...(runtime.minInstances !== undefined && { minInstanceCount: runtime.minInstances }),
+        ...(runtime.maxInstances !== undefined && { maxInstanceCount: runtime.maxInstances })
+      };
+    }
+
+    if (runtime.concurrency !== undefined) {
+      template.maxInstanceRequestConcurrency = runtime.concurrency;
+    }
+
+    if (runtime.timeout !== undefined) {
+      template.timeout = { seconds: runtime.timeout };
+    }
+
+    if (runtime.executionEnvironment !== undefined) {
+      template.executionEnvironment = `EXECUTION_ENVIRONMENT_${runtime.executionEnvironment.toUpperCase()}`;
+    }
+
+    return template;
+  }
+
+  /**
+   * Deploy a new Cloud Run service
+   */
+  async deployToCloudRun(serviceName, imageUrl, envVars = {}, runtime = DEFAULT_RUNTIME) {
+    const parent = this.getParent();
+
+    const service = {
+      template: this.buildRevisionTemplate(imageUrl, envVars, runtime)
     };
 
     try {
@@ -73,34 +117,15 @@ export class GCPClient {
   /**
    * Update an existing Cloud Run service
    */
-  async updateCloudRunService(serviceName, imageUrl, envVars = {}) {
+  async updateCloudRunService(serviceName, imageUrl, envVars = {}, runtime = DEFAULT_RUNTIME) {
     const name = this.getServicePath(serviceName);
 
-    const envVarArray = Object.entries(envVars).map(([name, value]) => ({
-      name,
-      value
-    }));
-
     // First, get the existing service to preserve other settings
     const [existingService] = await this.runClient.getService({ name });
 
     const service = {
       name: existingService.name,
-      template: {
-        containers: [
-          {
-            image: imageUrl,
-            ports: [{ containerPort: 3000 }],
-            env: envVarArray,
-            resources: {
-              limits: {
-                memory: '512Mi',
-                cpu: '1000m'
-              }
-            }
-          }
-        ]
-      }
+      template: this.buildRevisionTemplate(imageUrl, envVars, runtime)
     };
 
     try {
@@ -133,6 +158,23 @@ export class GCPClient {
     }
   }
 
+  /**
+   * Get a revision of a Cloud Run service
+   */
+  async getRevision(serviceName, revisionName) {
+    const name = `${this.getServicePath(serviceName)}/revisions/${revisionName}`;
+
+    try {
+      const [revision] = await this.revisionsClient.getRevision({ name });
+      return revision;
+    } catch (error) {
+      if (error.code === 5) { // NOT_FOUND
+        return null;
+      }
+      throw new Error(`Failed to get revision: ${error.message}`);
+    }
+  }
+
   /**
    * List all Cloud Run services
    */
@@ -162,6 +204,172 @@ export class GCPClient {
     }
   }
 
+  /**
+   * Get the environment of the revision serving most of a service's traffic
+   *
+   * The service template can belong to a tagged preview that serves no
+   * traffic, so it is only used when no revision is serving. Pass `revision`
+   * to read that revision instead (null if it no longer exists). Plain values
+   * are returned in `env`, Secret Manager references in `secrets`.
+   */
+  async getServiceEnv(serviceName, { revision = null } = {}) {
+    let source;
+
+    if (revision) {
+      source = await this.getRevision(serviceName, revision);
+    } else {
+      const split = await this.getTrafficSplit(serviceName);
+      if (!split) {
+        return null;
+      }
+
+      const serving = split
+        .filter(target => target.revision && target.percent > 0)
+        .sort((a, b) => b.percent - a.percent)[0];
+      source = serving
+        ? await this.getRevision(serviceName, serving.revision)
+        : (await this.getService(serviceName))?.template;
+    }
+
+    if (!source) {
+      return null;
+    }
+
+    const env = {};
+    const secrets = {};
+
+    for (const variable of source?.containers?.[0]?.env || []) {
+      const secretRef = variable.valueSource?.secretKeyRef;
+      if (secretRef) {
+        secrets[variable.name] = {
+          secret: secretRef.secret.split('/').pop(),
+          version: secretRef.version || 'latest'
+        };
+      } else {
+        env[variable.name] = variable.value || '';
+      }
+    }
+
+    return { env, secrets };
+  }
+
+  /**
+   * Get the current traffic split of a Cloud Run service
+   */
+  async getTrafficSplit(serviceName) {
+    const service = await this.getService(serviceName);
+    if (!service) {
+      return null;
+    }
+
+    return (service.trafficStatuses || []).map(status => {
+      const latest = status.type === 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST';
+      return {
+        revision: GCPClient.getRevisionName(status.revision || (latest ? service.latestReadyRevision : null)),
+        percent: status.percent || 0,
+        tag: status.tag || null,
+        uri: status.uri || null,
+        latest
+      };
+    });
+  }
+
+  /**
+   * Update the traffic split of a Cloud Run service
+   *
+   * Each target is either { revision, percent, tag } or { latest: true, percent }.
+   * Existing revision tags (e.g. tagged previews) are kept unless listed in
+   * options.removeTags.
+   */
+  async updateTraffic(serviceName, targets, options = {}) {
+    const name = this.getServicePath(serviceName);
+    const removeTags = options.removeTags || [];
+
+    const traffic = targets.map(target => (target.latest
+      ? { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: target.percent, ...(target.tag ? { tag: target.tag } : {}) }
+      : {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: target.revision,
+        percent: target.percent,
+        ...(target.tag ? { tag: target.tag } : {})
+      }));
+
+    try {
+      // Keep the existing template so no new revision is created
+      const [existingService] = await this.runClient.getService({ name });
+
+      for (const existing of existingService.traffic || []) {
+        if (!existing.tag || removeTags.includes(existing.tag) || traffic.some(t => t.tag === existing.tag)) {
+          continue;
+        }
+
+        const revision = GCPClient.getRevisionName(existing.revision);
+        const sameRevision = traffic.find(t => t.revision === revision && !t.tag);
+
+        if (sameRevision) {
+          sameRevision.tag = existing.tag;
+        } else if (revision) {
+          traffic.push({
+            type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+            revision,
+            percent: 0,
+            tag: existing.tag
+          });
+        }
+      }
+
+      const [operation] = await this.runClient.updateService({
+        service: { ...existingService, traffic },
+        allowMissing: false
+      });
+
+      const [response] = await operation.promise();
+      return response;
+    } catch (error) {
+      throw new Error(`Failed to update traffic: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a revision tag from a service, leaving the traffic split unchanged
+   */
+  async removeTrafficTag(serviceName, tag) {
+    const service = await this.getService(serviceName);
+    if (!service) {
+      throw new Error(`Service ${serviceName} not found`);
+    }
+
+    const targets = (service.traffic || [])
+      .filter(target => target.tag !== tag)
+      .map(target => ({
+        latest: target.type === 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST',
+        revision: GCPClient.getRevisionName(target.revision),
+        percent: target.percent || 0,
+        tag: target.tag || null
+      }))
+      // Tag-only targets are carried over by updateTraffic itself
+      .filter(target => target.percent > 0);
+
+    return this.updateTraffic(serviceName, targets, { removeTags: [tag] });
+  }
+
+  /**
+   * Send all traffic to the latest ready revision again
+   *
+   * Promote, abort, tagged previews and traffic restores pin the split to
+   * named revisions, which leaves later revisions without traffic. Returns
+   * false if the split already followed the latest revision.
+   */
+  async routeTrafficToLatest(serviceName) {
+    const split = await this.getTrafficSplit(serviceName);
+    if (split?.some(target => target.latest && target.percent === 100)) {
+      return false;
+    }
+
+    await this.updateTraffic(serviceName, [{ latest: true, percent: 100 }]);
+    return true;
+  }
+
   /**
    * Make a Cloud Run service publicly accessible
    */
@@ -182,54 +390,284 @@ export class GCPClient {
     }
   }
 
+  /**
+   * Get up to `limit` log entries matching a filter, newest first
+   *
+   * The API returns at most 1000 entries per page, so larger limits are
+   * fetched page by page.
+   */
+  async getLogEntries(filter, limit = 100) {
+    const entries = [];
+    let pageToken;
+
+    do {
+      const [page, nextQuery] = await this.logging.getEntries({
+        filter,
+        orderBy: 'timestamp desc',
+        pageSize: Math.min(limit - entries.length, 1000),
+        pageToken,
+        autoPaginate: false
+      });
+
+      entries.push(...page);
+      pageToken = nextQuery?.pageToken;
+    } while (pageToken && entries.length < limit);
+
+    return entries.slice(0, limit);
+  }
+
+  /**
+   * Page through every log entry matching a filter, oldest first
+   *
+   * onPage(entries) is called per page, so large exports are never held in
+   * memory at once.
+   */
+  async pageLogEntries(filter, onPage) {
+    let pageToken;
+
+    do {
+      const [page, nextQuery] = await this.logging.getEntries({
+        filter,
+        orderBy: 'timestamp asc',
+        pageSize: 1000,
+        pageToken,
+        autoPaginate: false
+      });
+
+      await onPage(page);
+      pageToken = nextQuery?.pageToken;
+    } while (pageToken);
+  }
+
   /**
    * Stream logs from Cloud Logging
+   *
+   * Calls back with the newest `limit` entries matching the filter, oldest
+   * first; a null limit skips them and Infinity pages through all of them.
+   * In follow mode new entries are then
+   * tailed live (or polled with options.poll), each entry is delivered once,
+   * and a cleanup function is returned.
+   *
+   * onNotice(message) reports reconnects and suppressed entries; onError(error)
+   * is called if following stops on an error that retrying will not fix.
    */
-  async streamLogs(serviceName, callback, follow = false) {
-    const log = this.logging.log('run.googleapis.com%2Fstdout');
+  async streamLogs(filter, callback, { follow = false, limit = 100, poll = false, onNotice = () => {}, onError = () => {} } = {}) {
+    const isNew = createEntryDeduper();
+    let since = new Date();
 
-    const filter = `resource.type="cloud_run_revision"
-resource.labels.service_name="${serviceName}"
-resource.labels.location="${this.region}"`;
+    const emit = entry => {
+      if (!isNew(entry)) return;
+      callback(entry);
+
+      const timestamp = new Date(entry.metadata.timestamp);
+      if (timestamp > since) since = timestamp;
+    };
 
     try {
-      if (follow) {
-        // For follow mode, poll for new entries
-        let lastTimestamp = new Date();
-
-        const pollInterval = setInterval(async () => {
-          try {
-            const [entries] = await log.getEntries({
-              filter: `${filter} timestamp>="${lastTimestamp.toISOString()}"`,
-              orderBy: 'timestamp asc',
-              pageSize: 100
-            });
-
-            if (entries.length > 0) {
-              entries.forEach(entry => callback(entry));
-              lastTimestamp = new Date(entries[entries.length - 1].metadata.timestamp);
-            }
-          } catch (error) {
-            console.error(`Error fetching logs: ${error.message}`);
+      if (limit === Infinity) {
+        await this.pageLogEntries(filter, page => page.forEach(emit));
+      } else if (limit) {
+        const entries = (await this.getLogEntries(filter, limit)).reverse();
+        entries.forEach(emit);
+      }
+    } catch (error) {
+      throw new Error(`Failed to stream logs: ${error.message}`);
+    }
+
+    if (!follow) {
+      return null;
+    }
+
+    const options = { emit, since: () => since, onNotice, onError };
+    return poll ? this.pollLogs(filter, options) : this.tailLogs(filter, options);
+  }
+
+  /**
+   * Follow logs through the Logging tail API
+   *
+   * Closed or failed sessions reconnect with exponential backoff, first
+   * fetching what was written while disconnected. After repeated failures
+   * to connect it falls back to polling.
+   */
+  tailLogs(filter, { emit, since, onNotice, onError }) {
+    let stream = null;
+    let timer = null;
+    let fallback = null;
+    let stopped = false;
+    let failures = 0;
+
+    const stop = () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.abort();
+      fallback?.();
+    };
+
+    const reconnect = (error, received) => {
+      if (stopped) return;
+
+      if (error && FATAL_LOG_ERRORS.includes(error.code)) {
+        stop();
+        onError(new Error(`Failed to stream logs: ${error.message}`));
+        return;
+      }
+
+      failures = received ? 0 : failures + 1;
+      const reason = error?.message || 'stream closed';
+
+      if (failures >= MAX_TAIL_FAILURES || error?.code === 12) { // UNIMPLEMENTED
+        fallBackToPolling(reason);
+        return;
+      }
+
+      const delay = failures === 0 ? 0 : Math.min(1000 * 2 ** (failures - 1), 30000);
+      if (failures > 0) {
+        onNotice(`Log stream disconnected (${reason}), reconnecting in ${delay / 1000}s...`);
+      }
+      timer = setTimeout(() => start(true), delay);
+    };
+
+    const fallBackToPolling = (reason) => {
+      if (stopped || fallback) return;
+      stream?.abort();
+      stream = null;
+      onNotice(`Live tailing unavailable (${reason}), polling every ${LOG_POLL_INTERVAL / 1000}s instead`);
+      fallback = this.pollLogs(filter, { emit, since, onNotice, onError });
+    };
+
+    const connect = async (catchUp) => {
+      // The tail API does not replay entries written while disconnected
+      if (catchUp) {
+        try {
+          const [entries] = await this.logging.getEntries({
+            filter: `${filter}\ntimestamp>="${since().toISOString()}"`,
+            orderBy: 'timestamp asc',
+            pageSize: 1000
+          });
+          entries.forEach(emit);
+        } catch (error) {
+          // The tail session below reports persistent failures
+        }
+      }
+
+      if (stopped) return;
+
+      let received = false;
+      let closed = false;
+      const close = (error) => {
+        if (closed) return;
+        closed = true;
+        stream = null;
+        reconnect(error, received);
+      };
+
+      stream = this.logging.tailEntries({ filter })
+        .on('data', response => {
+          received = true;
+          failures = 0;
+          response.entries.forEach(emit);
+
+          for (const info of response.suppressionInfo || []) {
+            const reason = info.reason === 'NOT_CONSUMED' ? 'output too slow' : 'rate limit';
+            onNotice(`${info.suppressedCount} log entries suppressed (${reason})`);
           }
-        }, 2000);
+        })
+        .on('error', close)
+        .on('end', () => close(null));
+    };
 
-        // Return cleanup function
-        return () => clearInterval(pollInterval);
-      } else {
-        // One-time fetch of recent logs
-        const [entries] = await log.getEntries({
-          filter,
-          orderBy: 'timestamp desc',
-          pageSize: 100
+    // A session that cannot even be opened is not retried
+    const start = (catchUp) => {
+      connect(catchUp).catch(error => fallBackToPolling(error.message));
+    };
+
+    start(false);
+    return stop;
+  }
+
+  /**
+   * Follow logs by polling getEntries
+   *
+   * Each poll looks back a few seconds so late entries are not missed;
+   * entries already delivered are skipped by emit.
+   */
+  pollLogs(filter, { emit, since, onNotice, onError }) {
+    const pollInterval = setInterval(async () => {
+      try {
+        const from = new Date(since().getTime() - LOG_POLL_LOOKBACK);
+        const [entries] = await this.logging.getEntries({
+          filter: `${filter}\ntimestamp>="${from.toISOString()}"`,
+          orderBy: 'timestamp asc',
+          pageSize: 1000
         });
 
-        entries.reverse().forEach(entry => callback(entry));
-        return null;
+        entries.forEach(emit);
+      } catch (error) {
+        if (FATAL_LOG_ERRORS.includes(error.code)) {
+          clearInterval(pollInterval);
+          onError(new Error(`Failed to stream logs: ${error.message}`));
+        } else {
+          onNotice(`Error fetching logs: ${error.message}`);
+        }
+      }
+    }, LOG_POLL_INTERVAL);
+
+    // Return cleanup function
+    return () => clearInterval(pollInterval);
+  }
+
+  /**
+   * List Cloud Monitoring time series for a filter, following pages
+   *
+   * Uses the Monitoring REST API, or CLOUDSDK_API_ENDPOINT_OVERRIDES_MONITORING
+   * when set (as gcloud does).
+   */
+  async listTimeSeries(filter, { startTime, endTime, alignmentPeriod, aligner, reducer, groupBy = [] }) {
+    const baseUrl = process.env.CLOUDSDK_API_ENDPOINT_OVERRIDES_MONITORING || MONITORING_API_URL;
+    const headers = { Authorization: `Bearer ${this.getAccessToken()}` };
+    const timeSeries = [];
+    let pageToken;
+
+    do {
+      const url = new URL(`v3/projects/${this.projectId}/timeSeries`, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+      url.searchParams.set('filter', filter);
+      url.searchParams.set('interval.startTime', startTime.toISOString());
+      url.searchParams.set('interval.endTime', endTime.toISOString());
+      url.searchParams.set('aggregation.alignmentPeriod', `${alignmentPeriod}s`);
+      url.searchParams.set('aggregation.perSeriesAligner', aligner);
+      url.searchParams.set('aggregation.crossSeriesReducer', reducer);
+      groupBy.forEach(field => url.searchParams.append('aggregation.groupByFields', field));
+      if (pageToken) {
+        url.searchParams.set('pageToken', pageToken);
+      }
+
+      const response = await fetch(url, { headers });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Cloud Monitoring request failed (${response.status}): ${body.error?.message || response.statusText}`);
+      }
+
+      timeSeries.push(...(body.timeSeries || []));
+      pageToken = body.nextPageToken;
+    } while (pageToken);
+
+    return timeSeries;
+  }
+
+  /**
+   * Get an OAuth access token from gcloud, reused for half an hour
+   */
+  getAccessToken() {
+    if (!this.accessToken || Date.now() > this.accessToken.expiresAt) {
+      try {
+        const token = execSync('gcloud auth print-access-token', { encoding: 'utf8', stdio: 'pipe' }).trim();
+        this.accessToken = { token, expiresAt: Date.now() + ACCESS_TOKEN_TTL };
+      } catch (error) {
+        throw new Error('Failed to get an access token from gcloud. Run `gcloud auth login`.');
       }
-    } catch (error) {
-      throw new Error(`Failed to stream logs: ${error.message}`);
     }
+
+    return this.accessToken.token;
   }
 
   /**
@@ -244,6 +682,21 @@ resource.labels.location="${this.region}"`;
     }
   }
 
+  /**
+   * Get the active gcloud account, or null
+   */
+  static getActiveAccount() {
+    try {
+      const account = execSync('gcloud auth list --filter=status:ACTIVE --format="value(account)"', {
+        encoding: 'utf8',
+        stdio: 'pipe'
+      });
+      return account.trim().split('\n')[0] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Configure Docker to use gcloud credentials
    */
@@ -272,6 +725,13 @@ resource.labels.location="${this.region}"`;
    * Get the service URL
    */
   static getServiceUrl(service) {
-    return service?.status?.url || service?.status?.address?.url || null;
+    return service?.uri || service?.status?.url || service?.status?.address?.url || null;
+  }
+
+  /**
+   * Get the short revision name from a full revision resource name
+   */
+  static getRevisionName(revision) {
+    return revision ? revision.split('/').pop() : null;
   }
 }
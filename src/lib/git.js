@@ -0,0 +1,92 @@
+import { execSync } from 'child_process';
+
+/**
+ * Sanitize branch name for Cloud Run service name
+ */
+export function sanitizeBranchName(branch) {
+  return branch
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, '-')
+    .replace(/-+/g, '-')           // Replace multiple hyphens with single hyphen
+    .replace(/^-+|-+$/g, '')       // Remove leading/trailing hyphens
+    .substring(0, 30)
+    .replace(/-+$/g, '');          // Remove any trailing hyphens after substring
+}
+
+/**
+ * Get current git branch
+ */
+export function getCurrentBranch() {
+  try {
+    return execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf8' }).trim();
+  } catch (error) {
+    return 'main';
+  }
+}
+
+/**
+ * Get the commit SHA of HEAD, or null
+ */
+export function getHeadCommit() {
+  try {
+    return execSync('git rev-parse HEAD', { encoding: 'utf8', stdio: 'pipe' }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the URL of a git remote, or null
+ */
+export function getRemoteUrl(remote = 'origin') {
+  try {
+    return execSync(`git remote get-url ${remote}`, { encoding: 'utf8', stdio: 'pipe' }).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the configured git user as "Name <email>", or null
+ */
+export function getGitUser() {
+  const read = key => {
+    try {
+      return execSync(`git config ${key}`, { encoding: 'utf8', stdio: 'pipe' }).trim();
+    } catch (error) {
+      return '';
+    }
+  };
+
+  const name = read('user.name');
+  const email = read('user.email');
+  if (!name && !email) return null;
+  return email ? `${name} <${email}>`.trim() : name;
+}
+
+/**
+ * Get local and remote branches that are merged into a base branch
+ */
+export function getMergedBranches(base = 'main') {
+  const branches = new Set();
+
+  for (const command of [
+    `git branch --merged ${base} --format="%(refname:short)"`,
+    `git branch -r --merged ${base} --format="%(refname:short)"`
+  ]) {
+    try {
+      execSync(command, { encoding: 'utf8', stdio: 'pipe' })
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        // Strip the remote name from remote branches (origin/feature-x → feature-x)
+        .forEach(branch => branches.add(command.includes(' -r ') ? branch.replace(/^[^/]+\//, '') : branch));
+    } catch (error) {
+      // Not a git repository or unknown base branch
+    }
+  }
+
+  branches.delete(base);
+  branches.delete('HEAD');
+  return branches;
+}
@@ -0,0 +1,272 @@
+import fs from 'fs';
+import { getHeadCommit, getRemoteUrl } from './git.js';
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+const COMMENTS_PER_PAGE = 100;
+
+/**
+ * Marker that identifies an app's sticky comment on a pull request
+ */
+function getCommentMarker(key) {
+  return `<!-- gcp-deploy:${key} -->`;
+}
+
+/**
+ * Marker for the preview a comment currently shows
+ */
+function getPreviewMarker(name) {
+  return `<!-- gcp-deploy-preview:${name} -->`;
+}
+
+/**
+ * Parse "owner/repo" from a git remote URL (https or ssh)
+ */
+export function parseRepository(remoteUrl) {
+  const match = /[:/]([^/:]+\/[^/]+?)(?:\.git)?\/?$/.exec(String(remoteUrl || '').trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Detect the pull request being built from CI environment variables
+ *
+ * GitHub Actions pull_request events carry it in the event payload (or
+ * GITHUB_REF as refs/pull/<n>/merge). Cloud Build GitHub triggers provide
+ * _PR_NUMBER and COMMIT_SHA, which build steps see once mapped into env.
+ * Returns { number, sha } or null.
+ */
+export function detectPullRequest(env = process.env) {
+  if (env.GITHUB_ACTIONS === 'true') {
+    let event = {};
+    try {
+      event = JSON.parse(fs.readFileSync(env.GITHUB_EVENT_PATH, 'utf8'));
+    } catch (error) {
+      // No event payload; fall back to GITHUB_REF
+    }
+
+    const number = event.pull_request?.number || Number(/^refs\/pull\/(\d+)\//.exec(env.GITHUB_REF || '')?.[1]);
+    if (number) {
+      return { number, sha: event.pull_request?.head?.sha || env.GITHUB_SHA || null };
+    }
+  }
+
+  if (env._PR_NUMBER && Number(env._PR_NUMBER)) {
+    return { number: Number(env._PR_NUMBER), sha: env.COMMIT_SHA || null };
+  }
+
+  return null;
+}
+
+/**
+ * Get the API URL and token for GitHub requests
+ */
+function getGitHubAuth(config, env = process.env) {
+  return {
+    apiUrl: (config.github?.apiUrl || env.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, ''),
+    token: env.GITHUB_TOKEN || env.GH_TOKEN || null
+  };
+}
+
+/**
+ * Work out the pull request a preview deploy reports to
+ *
+ * Uses prNumber when given, else the CI's pull request. Returns null when
+ * there is none, else { apiUrl, token, repository, pullRequest, sha }, where
+ * token and repository are null if they could not be found. sha is null for
+ * a pull request other than the one CI is building, whose head commit is
+ * not checked out; look it up with getPullRequestHead.
+ */
+export function resolveGitHubContext(config, prNumber = null, env = process.env) {
+  const detected = detectPullRequest(env);
+  const pullRequest = prNumber || detected?.number;
+  if (!pullRequest) return null;
+
+  return {
+    ...getGitHubAuth(config, env),
+    repository: config.github?.repository || env.GITHUB_REPOSITORY || env.REPO_FULL_NAME || parseRepository(getRemoteUrl()),
+    pullRequest,
+    sha: detected?.number === pullRequest ? detected.sha || env.COMMIT_SHA || getHeadCommit() : null
+  };
+}
+
+/**
+ * Make a GitHub REST API request, returning the parsed response
+ */
+async function githubRequest(github, method, path, body = null) {
+  const response = await fetch(`${github.apiUrl}${path}`, {
+    method,
+    headers: {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Bearer ${github.token}`,
+      'User-Agent': 'gcp-deploy-cli',
+      'X-GitHub-Api-Version': '2022-11-28',
+      ...(body && { 'Content-Type': 'application/json' })
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(`GitHub API ${method} ${path} failed (${response.status}): ${data?.message || response.statusText}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get the head commit SHA of the pull request
+ */
+export async function getPullRequestHead(github) {
+  const pull = await githubRequest(github, 'GET', `/repos/${github.repository}/pulls/${github.pullRequest}`);
+  return pull.head.sha;
+}
+
+/**
+ * Create or update the app's sticky comment on the pull request
+ *
+ * key identifies the app (its production service name), so monorepo apps
+ * each get their own comment. Returns the comment ID.
+ */
+export async function upsertPullRequestComment(github, key, body) {
+  const marker = getCommentMarker(key);
+  const text = `${marker}\n${body}`;
+  let existing = null;
+
+  for (let page = 1; !existing; page++) {
+    const comments = await githubRequest(github, 'GET', `/repos/${github.repository}/issues/${github.pullRequest}/comments?per_page=${COMMENTS_PER_PAGE}&page=${page}`);
+    existing = comments.find(comment => comment.body?.includes(marker)) || null;
+    if (comments.length < COMMENTS_PER_PAGE) break;
+  }
+
+  if (existing) {
+    await githubRequest(github, 'PATCH', `/repos/${github.repository}/issues/comments/${existing.id}`, { body: text });
+    return existing.id;
+  }
+
+  const created = await githubRequest(github, 'POST', `/repos/${github.repository}/issues/${github.pullRequest}/comments`, { body: text });
+  return created.id;
+}
+
+/**
+ * Set a commit status (state: pending, success, failure or error)
+ */
+export async function setCommitStatus(github, { state, context, description, targetUrl = null }) {
+  await githubRequest(github, 'POST', `/repos/${github.repository}/statuses/${github.sha}`, {
+    state,
+    context,
+    // GitHub rejects descriptions over 140 characters
+    description: description.length > 140 ? `${description.slice(0, 139)}…` : description,
+    ...(targetUrl && { target_url: targetUrl })
+  });
+}
+
+/**
+ * Link to a Cloud Run service's logs in the Cloud Console
+ */
+export function getConsoleLogsUrl(config, serviceName) {
+  return `https://console.cloud.google.com/run/detail/${config.region}/${serviceName}/logs?project=${config.projectId}`;
+}
+
+/**
+ * Write the sticky comment body for a preview
+ *
+ * status is succeeded, failed or removed. name is the preview as passed to
+ * other commands (a service or <tag>---<service>).
+ */
+export function formatPreviewComment({ status, name, url, branch, image, revision, logsUrl, deploymentId, failedStep, error }) {
+  const heading = {
+    succeeded: `### ✅ Preview deployed: \`${name}\``,
+    failed: `### ❌ Preview deploy failed: \`${name}\``,
+    removed: `### 🗑️ Preview removed: \`${name}\``
+  }[status];
+
+  const rows = [
+    status !== 'removed' && url && ['Preview URL', url],
+    ['Branch', `\`${branch}\``],
+    status !== 'removed' && image && ['Image', `\`${image}\``],
+    status !== 'removed' && revision && ['Revision', `\`${revision}\``],
+    status !== 'removed' && logsUrl && ['Logs', `[Cloud Run logs](${logsUrl})`],
+    status === 'failed' && ['Failed during', `${failedStep || 'unknown step'}: ${error || 'no error recorded'}`],
+    ['Updated', new Date().toISOString()]
+  ].filter(Boolean);
+
+  const lines = [
+    getPreviewMarker(name),
+    heading,
+    '',
+    '| | |',
+    '|---|---|',
+    ...rows.map(([label, value]) => `| **${label}** | ${String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`),
+    ''
+  ];
+
+  if (status === 'removed') {
+    lines.push('Deploy the branch again to create a new preview.');
+  } else if (deploymentId) {
+    lines.push(`<sub>gcp-deploy history ${deploymentId}</sub>`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Mark a removed preview in the pull request comments that show it
+ *
+ * entries are the preview's removed history entries; those deployed for a
+ * pull request remember its comment. Comments that moved on to a newer
+ * preview are left alone. Best effort: without a token or on errors nothing
+ * is updated. Returns the number of comments updated.
+ */
+export async function reportPreviewRemoved(config, name, entries, env = process.env) {
+  const auth = getGitHubAuth(config, env);
+  if (!auth.token) return 0;
+
+  // The newest entry for each pull request has its current comment
+  const comments = new Map();
+  for (const entry of entries.filter(d => d.github?.commentId)) {
+    comments.set(`${entry.github.repository}#${entry.github.pullRequest}`, entry);
+  }
+
+  let updated = 0;
+
+  for (const entry of comments.values()) {
+    const github = { ...auth, repository: entry.github.repository, pullRequest: entry.github.pullRequest };
+
+    try {
+      const comment = await githubRequest(github, 'GET', `/repos/${github.repository}/issues/comments/${entry.github.commentId}`);
+      if (!comment.body?.includes(getPreviewMarker(name))) continue;
+
+      const body = formatPreviewComment({ status: 'removed', name, branch: entry.branch });
+      await githubRequest(github, 'PATCH', `/repos/${github.repository}/issues/comments/${entry.github.commentId}`, {
+        body: `${getCommentMarker(config.serviceName)}\n${body}`
+      });
+      updated++;
+    } catch (error) {
+      // The comment may have been deleted, or the token lacks access
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Validate the github section, returning a list of problems
+ */
+export function validateGitHubConfig(github) {
+  const errors = [];
+  if (github === undefined) return errors;
+
+  if (typeof github !== 'object' || github === null || Array.isArray(github)) {
+    return ['github must be an object'];
+  }
+
+  if (github.repository !== undefined && !/^[^/\s]+\/[^/\s]+$/.test(String(github.repository))) {
+    errors.push('github.repository must look like "owner/repo"');
+  }
+
+  if (github.apiUrl !== undefined && !/^https?:\/\/\S+$/.test(String(github.apiUrl))) {
+    errors.push('github.apiUrl must be an http(s) URL, e.g. "https://github.example.com/api/v3"');
+  }
+
+  return errors;
+}
@@ -0,0 +1,159 @@
+/**
+ * Defaults for the healthCheck section of gcp-deploy.json (see the README)
+ */
+export const DEFAULT_HEALTH_CHECK = {
+  paths: ['/'],
+  timeout: 10,
+  retries: 3,
+  interval: 5,
+  rollback: true
+};
+
+/**
+ * Normalize the healthCheck section into a list of checks plus settings
+ *
+ * Returns null when health checks are not configured.
+ */
+export function resolveHealthCheck(config) {
+  if (!config.healthCheck) {
+    return null;
+  }
+
+  const settings = { ...DEFAULT_HEALTH_CHECK, ...config.healthCheck };
+  const checks = settings.paths.map(entry => {
+    const check = typeof entry === 'string' ? { path: entry } : entry;
+    return {
+      path: check.path,
+      status: [].concat(check.status ?? settings.status ?? []),
+      contains: check.contains ?? settings.contains ?? null
+    };
+  });
+
+  return {
+    checks,
+    timeout: settings.timeout,
+    retries: settings.retries,
+    interval: settings.interval,
+    rollback: settings.rollback
+  };
+}
+
+/**
+ * Check a status code against the expected codes (any 2xx/3xx if none are set)
+ */
+function isExpectedStatus(status, expected) {
+  return expected.length > 0 ? expected.includes(status) : status >= 200 && status < 400;
+}
+
+/**
+ * Request one path once, returning { ok, status, error }
+ */
+async function probe(url, check, timeout) {
+  try {
+    const response = await fetch(url, {
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeout * 1000)
+    });
+
+    if (!isExpectedStatus(response.status, check.status)) {
+      const expected = check.status.length > 0 ? check.status.join(' or ') : '2xx/3xx';
+      return { ok: false, status: response.status, error: `Expected status ${expected}, got ${response.status}` };
+    }
+
+    if (check.contains) {
+      const body = await response.text();
+      if (!body.includes(check.contains)) {
+        return { ok: false, status: response.status, error: `Response body does not contain "${check.contains}"` };
+      }
+    }
+
+    return { ok: true, status: response.status, error: null };
+  } catch (error) {
+    const message = error.name === 'TimeoutError' ? `Timed out after ${timeout}s` : error.cause?.message || error.message;
+    return { ok: false, status: null, error: message };
+  }
+}
+
+/**
+ * Run every check against a base URL, retrying each failing path
+ *
+ * onAttempt(check, attempt, result) is called after each request. Resolves
+ * to { passed, results } where each result is
+ * { path, url, ok, status, error, attempts, durationMs }.
+ */
+export async function runHealthChecks(baseUrl, healthCheck, { onAttempt } = {}) {
+  const results = [];
+
+  for (const check of healthCheck.checks) {
+    const url = new URL(check.path, baseUrl).toString();
+    const started = Date.now();
+    let result;
+    let attempts = 0;
+
+    while (attempts <= healthCheck.retries) {
+      if (attempts > 0) {
+        await new Promise(resolve => setTimeout(resolve, healthCheck.interval * 1000));
+      }
+
+      attempts++;
+      result = await probe(url, check, healthCheck.timeout);
+      onAttempt?.(check, attempts, result);
+
+      if (result.ok) break;
+    }
+
+    results.push({ path: check.path, url, ...result, attempts, durationMs: Date.now() - started });
+  }
+
+  return { passed: results.every(result => result.ok), results };
+}
+
+/**
+ * Validate the healthCheck section of gcp-deploy.json, returning a list of problems
+ */
+export function validateHealthCheckConfig(healthCheck) {
+  const errors = [];
+  if (healthCheck === undefined) return errors;
+
+  if (typeof healthCheck !== 'object' || healthCheck === null || Array.isArray(healthCheck)) {
+    return ['healthCheck must be an object'];
+  }
+
+  const isStatusList = value => [].concat(value).every(code => Number.isInteger(code) && code >= 100 && code <= 599);
+
+  if (healthCheck.paths !== undefined) {
+    if (!Array.isArray(healthCheck.paths) || healthCheck.paths.length === 0) {
+      errors.push('healthCheck.paths must be a non-empty list');
+    } else {
+      healthCheck.paths.forEach((entry, index) => {
+        const path = typeof entry === 'string' ? entry : entry?.path;
+        if (typeof path !== 'string' || !path.startsWith('/')) {
+          errors.push(`healthCheck.paths[${index}] must be a path starting with "/" or { "path": "/..." }`);
+        }
+        if (typeof entry === 'object' && entry?.status !== undefined && !isStatusList(entry.status)) {
+          errors.push(`healthCheck.paths[${index}].status must be an HTTP status code or a list of them`);
+        }
+      });
+    }
+  }
+
+  if (healthCheck.status !== undefined && !isStatusList(healthCheck.status)) {
+    errors.push('healthCheck.status must be an HTTP status code or a list of them');
+  }
+
+  for (const field of ['timeout', 'interval']) {
+    if (healthCheck[field] !== undefined && (typeof healthCheck[field] !== 'number' || healthCheck[field] <= 0)) {
+      errors.push(`healthCheck.${field} must be a positive number of seconds`);
+    }
+  }
+
+  if (healthCheck.retries !== undefined && (!Number.isInteger(healthCheck.retries) || healthCheck.retries < 0)) {
+    errors.push('healthCheck.retries must be a non-negative integer');
+  }
+
+  if (healthCheck.rollback !== undefined && typeof healthCheck.rollback !== 'boolean') {
+    errors.push('healthCheck.rollback must be true or false');
+  }
+
+  return errors;
+}
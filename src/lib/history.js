@@ -0,0 +1,86 @@
+import os from 'os';
+import { addDeployment, updateDeployment } from './config.js';
+import { GCPClient } from './gcp-client.js';
+import { getGitUser } from './git.js';
+import { parseTime } from './duration.js';
+
+export const DEPLOY_STATUSES = ['in-progress', 'succeeded', 'failed', 'cancelled'];
+
+// Deploy steps in order; failedStep is one of these
+export const DEPLOY_STEPS = ['preflight', 'build', 'push', 'deploy', 'healthCheck'];
+
+/**
+ * Identify who ran a deploy: the gcloud account, git user and OS user
+ */
+export function getOperator() {
+  return {
+    gcloudAccount: GCPClient.getActiveAccount(),
+    gitUser: getGitUser(),
+    user: os.userInfo().username,
+    ci: Boolean(process.env.CI)
+  };
+}
+
+/**
+ * Record the start of a deploy attempt as an in-progress history entry
+ *
+ * Returns a tracker: call begin(step) as each step starts, so its duration
+ * lands in timings, and finish(status, details) once at the end.
+ */
+export function startDeployAttempt(deployment) {
+  const record = addDeployment({
+    ...deployment,
+    status: 'in-progress',
+    operator: getOperator()
+  });
+  const started = Date.now();
+  let stepStarted = started;
+
+  const attempt = {
+    id: record.id,
+    step: 'preflight',
+    timings: {},
+    finished: false,
+
+    begin(step) {
+      attempt.timings[attempt.step] = Date.now() - stepStarted;
+      attempt.step = step;
+      stepStarted = Date.now();
+    },
+
+    finish(status, details = {}) {
+      if (attempt.finished) return null;
+      attempt.finished = true;
+      attempt.timings[attempt.step] = Date.now() - stepStarted;
+
+      return updateDeployment(attempt.id, {
+        ...details,
+        status,
+        ...(status !== 'succeeded' && { failedStep: attempt.step }),
+        timings: { ...attempt.timings, total: Date.now() - started },
+        finishedAt: new Date().toISOString()
+      });
+    }
+  };
+
+  return attempt;
+}
+
+/**
+ * Filter history entries, newest first
+ *
+ * Filters: status, type, branch, since and until (a date or a duration
+ * ago like "7d"). Entries without a status are successful legacy deploys.
+ */
+export function filterHistory(entries, { status, type, branch, since, until } = {}) {
+  const sinceDate = since ? parseTime(since) : null;
+  const untilDate = until ? parseTime(until) : null;
+
+  return entries
+    .filter(entry => !status || (entry.status || 'succeeded') === status)
+    .filter(entry => !type || entry.type === type)
+    .filter(entry => !branch || entry.branch === branch)
+    .filter(entry => !sinceDate || new Date(entry.timestamp) >= sinceDate)
+    .filter(entry => !untilDate || new Date(entry.timestamp) <= untilDate)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
@@ -0,0 +1,178 @@
+import { parseTime } from './duration.js';
+import { CommandError, ExitCode } from './errors.js';
+
+export const SEVERITIES = ['DEFAULT', 'DEBUG', 'INFO', 'NOTICE', 'WARNING', 'ERROR', 'CRITICAL', 'ALERT', 'EMERGENCY'];
+
+export const DEFAULT_LOG_LIMIT = 100;
+
+// --source names and the Cloud Run logs they read
+export const LOG_SOURCES = {
+  stdout: 'run.googleapis.com/stdout',
+  stderr: 'run.googleapis.com/stderr',
+  requests: 'run.googleapis.com/requests'
+};
+
+/**
+ * Quote a value for a Logging query string
+ */
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Parse --severity into a Logging comparison, e.g. ">=WARNING" or "error"
+ *
+ * A bare level means that level or higher. Returns null if invalid.
+ */
+export function parseSeverity(value) {
+  const match = /^(>=|<=|>|<|=)?\s*([a-z]+)$/i.exec(String(value).trim());
+  if (!match || !SEVERITIES.includes(match[2].toUpperCase())) {
+    return null;
+  }
+
+  return `severity${match[1] || '>='}${match[2].toUpperCase()}`;
+}
+
+/**
+ * Validate logs command options into { sources, severity, since, until, grep, revision, filter, limit }
+ *
+ * Throws a USAGE CommandError for invalid values.
+ */
+export function parseLogOptions(options) {
+  const query = {
+    sources: Object.keys(LOG_SOURCES),
+    grep: options.grep || null,
+    revision: options.revision || null,
+    filter: options.filter || null
+  };
+
+  if (options.source) {
+    query.sources = options.source.split(',').map(source => source.trim().toLowerCase()).filter(Boolean);
+    const unknown = query.sources.filter(source => !LOG_SOURCES[source]);
+    if (unknown.length > 0 || query.sources.length === 0) {
+      throw new CommandError(`Invalid --source "${options.source}". Use one or more of: ${Object.keys(LOG_SOURCES).join(', ')}.`, ExitCode.USAGE);
+    }
+  }
+
+  query.severity = options.severity ? parseSeverity(options.severity) : null;
+  if (options.severity && !query.severity) {
+    throw new CommandError(`Invalid --severity "${options.severity}". Use a level like WARNING or a comparison like ">=ERROR" (levels: ${SEVERITIES.join(', ')}).`, ExitCode.USAGE);
+  }
+
+  for (const name of ['since', 'until']) {
+    query[name] = options[name] ? parseTime(options[name]) : null;
+    if (options[name] && !query[name]) {
+      throw new CommandError(`Invalid --${name} value "${options[name]}". Use a duration like 1h or a date like 2024-01-15T10:00:00Z.`, ExitCode.USAGE);
+    }
+  }
+
+  if (query.since && query.until && query.since > query.until) {
+    throw new CommandError('--since must be before --until', ExitCode.USAGE);
+  }
+
+  if (options.follow && query.until) {
+    throw new CommandError('--until cannot be used with --follow', ExitCode.USAGE);
+  }
+
+  query.limit = options.limit !== undefined ? Number(options.limit) : null;
+  if (query.limit !== null && (!Number.isInteger(query.limit) || query.limit < 1)) {
+    throw new CommandError('--limit must be a positive integer', ExitCode.USAGE);
+  }
+
+  return query;
+}
+
+/**
+ * Build the Cloud Logging filter for one or more Cloud Run services
+ *
+ * targets is a list of { serviceName, revision }, where a revision (for
+ * tagged previews) narrows that service to one revision. query comes from
+ * parseLogOptions. --filter is ANDed with the rest as raw Logging query syntax.
+ */
+export function buildLogFilter(targets, region, query = {}) {
+  const targetClauses = targets.map(({ serviceName, revision }) => (revision
+    ? `(resource.labels.service_name=${quote(serviceName)} AND resource.labels.revision_name=${quote(revision)})`
+    : `resource.labels.service_name=${quote(serviceName)}`));
+
+  const clauses = [
+    'resource.type="cloud_run_revision"',
+    targetClauses.length === 1 ? targetClauses[0] : `(${targetClauses.join(' OR ')})`,
+    `resource.labels.location=${quote(region)}`
+  ];
+
+  const sources = query.sources || Object.keys(LOG_SOURCES);
+  clauses.push(`(${sources.map(source => `log_id(${quote(LOG_SOURCES[source])})`).join(' OR ')})`);
+
+  if (query.revision) {
+    clauses.push(`resource.labels.revision_name=${quote(query.revision)}`);
+  }
+
+  if (query.severity) {
+    clauses.push(query.severity);
+  }
+
+  if (query.since) {
+    clauses.push(`timestamp>=${quote(query.since.toISOString())}`);
+  }
+
+  if (query.until) {
+    clauses.push(`timestamp<=${quote(query.until.toISOString())}`);
+  }
+
+  // ":" is a case-insensitive substring match
+  if (query.grep) {
+    const fields = ['textPayload', 'jsonPayload.message', 'httpRequest.requestUrl'];
+    clauses.push(`(${fields.map(field => `${field}:${quote(query.grep)}`).join(' OR ')})`);
+  }
+
+  if (query.filter) {
+    clauses.push(`(${query.filter})`);
+  }
+
+  return clauses.join('\n');
+}
+
+/**
+ * Get the --source name of an entry from its log name
+ */
+export function getLogSource(entry) {
+  const logId = decodeURIComponent((entry.metadata?.logName || '').split('/logs/').pop());
+  return Object.keys(LOG_SOURCES).find(source => LOG_SOURCES[source] === logId) || logId || null;
+}
+
+/**
+ * Find the target ({ serviceName, revision }) a log entry belongs to
+ *
+ * A target for the entry's revision wins over one for its whole service.
+ */
+export function findLogTarget(entry, targets) {
+  const labels = entry.metadata?.resource?.labels || {};
+  const matching = targets.filter(target => target.serviceName === labels.service_name);
+  return matching.find(target => target.revision && target.revision === labels.revision_name)
+    || matching.find(target => !target.revision)
+    || null;
+}
+
+/**
+ * Track log entries already printed, by log name and insertId
+ *
+ * Returns isNew(entry), which is true the first time an entry is seen.
+ * Only the most recent `max` IDs are remembered.
+ */
+export function createEntryDeduper(max = 10000) {
+  const seen = new Set();
+
+  return entry => {
+    const insertId = entry.metadata?.insertId;
+    if (!insertId) return true;
+
+    const key = `${entry.metadata.logName || ''}/${insertId}`;
+    if (seen.has(key)) return false;
+
+    seen.add(key);
+    if (seen.size > max) {
+      seen.delete(seen.values().next().value);
+    }
+    return true;
+  };
+}
@@ -0,0 +1,175 @@
+import { parseDuration } from './duration.js';
+
+export const DEFAULT_METRICS_WINDOW = '1h';
+
+// Roughly this many points per metric, whatever the window
+const TARGET_POINTS = 30;
+
+// Alignment periods to choose from, in minutes
+const ALIGNMENT_STEPS = [1, 2, 5, 10, 15, 30, 60, 120, 180, 360, 720, 1440];
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// Rows of the metrics table, in display order
+export const METRICS = [
+  { id: 'requests', label: 'Requests', unit: 'req/s' },
+  { id: 'errorRate', label: '5xx rate', unit: '%' },
+  { id: 'latencyP50', label: 'Latency p50', unit: 'ms' },
+  { id: 'latencyP95', label: 'Latency p95', unit: 'ms' },
+  { id: 'latencyP99', label: 'Latency p99', unit: 'ms' },
+  { id: 'instances', label: 'Instances', unit: '' },
+  { id: 'cpu', label: 'CPU p95', unit: '%' },
+  { id: 'memory', label: 'Memory p95', unit: '%' }
+];
+
+// Cloud Monitoring queries behind the metrics. Requests are grouped by
+// response code class so the 5xx rate comes from the same query.
+export const METRIC_QUERIES = {
+  requests: { type: 'run.googleapis.com/request_count', aligner: 'ALIGN_RATE', reducer: 'REDUCE_SUM', groupBy: ['metric.label.response_code_class'] },
+  latencyP50: { type: 'run.googleapis.com/request_latencies', aligner: 'ALIGN_DELTA', reducer: 'REDUCE_PERCENTILE_50' },
+  latencyP95: { type: 'run.googleapis.com/request_latencies', aligner: 'ALIGN_DELTA', reducer: 'REDUCE_PERCENTILE_95' },
+  latencyP99: { type: 'run.googleapis.com/request_latencies', aligner: 'ALIGN_DELTA', reducer: 'REDUCE_PERCENTILE_99' },
+  instances: { type: 'run.googleapis.com/container/instance_count', aligner: 'ALIGN_MAX', reducer: 'REDUCE_SUM' },
+  cpu: { type: 'run.googleapis.com/container/cpu/utilizations', aligner: 'ALIGN_DELTA', reducer: 'REDUCE_PERCENTILE_95' },
+  memory: { type: 'run.googleapis.com/container/memory/utilizations', aligner: 'ALIGN_DELTA', reducer: 'REDUCE_PERCENTILE_95' }
+};
+
+/**
+ * Quote a value for a Monitoring filter
+ */
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Build the Monitoring filter for one metric of a Cloud Run service
+ *
+ * target is { serviceName, revision }; a revision (for tagged previews)
+ * narrows the service to that revision.
+ */
+export function buildMetricFilter(metricType, target, region) {
+  const clauses = [
+    `metric.type=${quote(metricType)}`,
+    'resource.type="cloud_run_revision"',
+    `resource.labels.service_name=${quote(target.serviceName)}`,
+    `resource.labels.location=${quote(region)}`
+  ];
+
+  if (target.revision) {
+    clauses.push(`resource.labels.revision_name=${quote(target.revision)}`);
+  }
+
+  return clauses.join(' AND ');
+}
+
+/**
+ * Pick an alignment period in seconds for a window, giving at most about TARGET_POINTS points
+ */
+export function getAlignmentPeriod(startTime, endTime) {
+  const minutes = (endTime - startTime) / TARGET_POINTS / 60000;
+  const step = ALIGNMENT_STEPS.find(value => value >= minutes) || Math.ceil(minutes / 1440) * 1440;
+  return step * 60;
+}
+
+/**
+ * Parse --interval for --watch into milliseconds (a duration like 30s or plain seconds)
+ *
+ * Returns null if invalid.
+ */
+export function parseWatchInterval(value) {
+  const ms = /^\d+$/.test(String(value).trim()) ? Number(value) * 1000 : parseDuration(value);
+  return ms && ms >= 1000 ? ms : null;
+}
+
+/**
+ * Get a number from a Monitoring point value (int64, double or distribution mean)
+ */
+function pointValue(value = {}) {
+  if (value.doubleValue !== undefined) return Number(value.doubleValue);
+  if (value.int64Value !== undefined) return Number(value.int64Value);
+  if (value.distributionValue) return Number(value.distributionValue.mean || 0);
+  return null;
+}
+
+/**
+ * Sum time series into one value per point end time, oldest first
+ *
+ * Only series matching `match(series)` are included.
+ */
+function toPoints(timeSeries, match = () => true) {
+  const buckets = new Map();
+
+  for (const series of timeSeries.filter(match)) {
+    for (const point of series.points || []) {
+      const time = new Date(point.interval?.endTime).toISOString();
+      const value = pointValue(point.value);
+      if (value !== null) {
+        buckets.set(time, (buckets.get(time) || 0) + value);
+      }
+    }
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([time, value]) => ({ time, value }));
+}
+
+/**
+ * Summarize points as { points, latest, average, peak }
+ */
+function summarize(points) {
+  const values = points.map(point => point.value);
+  return {
+    points,
+    latest: values.length > 0 ? values[values.length - 1] : null,
+    average: values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null,
+    peak: values.length > 0 ? Math.max(...values) : null
+  };
+}
+
+/**
+ * Turn time series per query (from METRIC_QUERIES) into a summary per metric
+ *
+ * Utilizations are converted to percentages, and the 5xx rate is the share
+ * of requests with a 5xx response code class in each period.
+ */
+export function summarizeMetrics(seriesByQuery) {
+  const requests = toPoints(seriesByQuery.requests || []);
+  const errors = new Map(
+    toPoints(seriesByQuery.requests || [], series => series.metric?.labels?.response_code_class === '5xx')
+      .map(point => [point.time, point.value])
+  );
+  const percent = points => points.map(point => ({ ...point, value: point.value * 100 }));
+
+  return {
+    requests: summarize(requests),
+    errorRate: summarize(requests
+      .filter(point => point.value > 0)
+      .map(point => ({ time: point.time, value: ((errors.get(point.time) || 0) / point.value) * 100 }))),
+    latencyP50: summarize(toPoints(seriesByQuery.latencyP50 || [])),
+    latencyP95: summarize(toPoints(seriesByQuery.latencyP95 || [])),
+    latencyP99: summarize(toPoints(seriesByQuery.latencyP99 || [])),
+    instances: summarize(toPoints(seriesByQuery.instances || [])),
+    cpu: summarize(percent(toPoints(seriesByQuery.cpu || []))),
+    memory: summarize(percent(toPoints(seriesByQuery.memory || [])))
+  };
+}
+
+/**
+ * Draw values as a sparkline of at most `width` characters, scaled from zero to the peak
+ */
+export function sparkline(values, width = TARGET_POINTS) {
+  if (values.length === 0) return '';
+
+  // Merge neighbouring values (keeping the highest) when there are too many
+  const size = Math.ceil(values.length / width);
+  const columns = [];
+  for (let i = 0; i < values.length; i += size) {
+    columns.push(Math.max(...values.slice(i, i + size)));
+  }
+
+  const peak = Math.max(...columns);
+  return columns
+    .map(value => (peak > 0 ? SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.floor((value / peak) * SPARK_CHARS.length))] : SPARK_CHARS[0]))
+    .join('');
+}
@@ -0,0 +1,120 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import prompts from 'prompts';
+import { CommandError, ExitCode, getExitCode, getExitCodeName } from './errors.js';
+
+let jsonMode = false;
+
+/**
+ * Switch to machine-readable output
+ *
+ * Human-readable output (see log) moves to stderr without colors, spinners
+ * are silenced, and stdout only receives the JSON result.
+ */
+export function setJsonMode(enabled) {
+  jsonMode = Boolean(enabled);
+
+  if (jsonMode) {
+    chalk.level = 0;
+  }
+}
+
+/**
+ * Check whether --json was passed
+ */
+export function isJsonMode() {
+  return jsonMode;
+}
+
+/**
+ * Print human-readable output: stdout normally, stderr in JSON mode
+ */
+export function log(...args) {
+  if (jsonMode) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
+/**
+ * Create an ora spinner that stays silent in JSON mode
+ */
+export function createSpinner(text) {
+  return ora({ text, isSilent: jsonMode });
+}
+
+/**
+ * Write a JSON document to stdout
+ */
+export function writeJson(value, { pretty = true } = {}) {
+  process.stdout.write(`${JSON.stringify(value, null, pretty ? 2 : 0)}\n`);
+}
+
+/**
+ * Ask for confirmation unless --yes was passed
+ *
+ * Prompts cannot be answered in JSON mode, so --yes is required there.
+ * Throws a CANCELLED CommandError if the user declines.
+ */
+export async function confirm(message, { yes = false, cancelMessage = 'Cancelled.' } = {}) {
+  if (yes) return;
+
+  if (jsonMode) {
+    throw new CommandError('Confirmation required. Pass --yes to run this command with --json.', ExitCode.USAGE);
+  }
+
+  const { confirmed } = await prompts({
+    type: 'confirm',
+    name: 'confirmed',
+    message,
+    initial: false
+  });
+
+  if (!confirmed) {
+    log(chalk.gray(cancelMessage));
+    throw new CommandError(cancelMessage, ExitCode.CANCELLED, { reported: true });
+  }
+}
+
+/**
+ * Report an error and exit with its exit code
+ */
+export function exitWithError(error) {
+  const exitCode = getExitCode(error);
+
+  if (jsonMode) {
+    writeJson({
+      ok: false,
+      error: {
+        code: getExitCodeName(exitCode),
+        exitCode,
+        message: error.message
+      }
+    });
+  } else if (!error.reported) {
+    console.error(chalk.red(`Error: ${error.message}`));
+  }
+
+  process.exit(exitCode);
+}
+
+/**
+ * Wrap a command handler for commander
+ *
+ * The handler's return value is printed as the JSON result, and errors are
+ * reported and mapped to their exit code.
+ */
+export function runCommand(handler) {
+  return async (...args) => {
+    try {
+      const result = await handler(...args);
+
+      if (jsonMode && result !== undefined) {
+        writeJson({ ok: true, ...result });
+      }
+    } catch (error) {
+      exitWithError(error);
+    }
+  };
+}
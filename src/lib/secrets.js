@@ -0,0 +1,187 @@
+import { execSync } from 'child_process';
+
+// Env var names that usually hold credentials
+const SECRET_NAME_PATTERN = /(SECRET|PASSWORD|PASSWD|TOKEN|API_?KEY|PRIVATE_?KEY|CREDENTIAL|DATABASE_URL|DSN)/i;
+
+/**
+ * Normalize a secrets mapping value to { secret, version }
+ *
+ * Accepts "name", "name:version" or { secret, version }.
+ */
+export function normalizeSecretRef(ref) {
+  if (typeof ref === 'string') {
+    const [secret, version] = ref.split(':');
+    return { secret, version: version || 'latest' };
+  }
+
+  return { secret: ref?.secret, version: String(ref?.version || 'latest') };
+}
+
+/**
+ * Get the secrets mapping from project config as env name → { secret, version }
+ */
+export function getSecretMappings(config) {
+  return Object.fromEntries(
+    Object.entries(config.secrets || {}).map(([envName, ref]) => [envName, normalizeSecretRef(ref)])
+  );
+}
+
+/**
+ * Default Secret Manager name for an env var
+ */
+export function defaultSecretName(serviceName, envName) {
+  return `${serviceName}-${envName.toLowerCase().replace(/_/g, '-')}`;
+}
+
+/**
+ * Find env var names that look like credentials but are not mapped to Secret Manager
+ */
+export function findUnmappedSecrets(envVars, mappings) {
+  return Object.keys(envVars).filter(key =>
+    !key.startsWith('NEXT_PUBLIC_') &&
+    !mappings[key] &&
+    SECRET_NAME_PATTERN.test(key)
+  );
+}
+
+/**
+ * Split env vars into plaintext values and Secret Manager mounts
+ *
+ * Mapped keys are dropped from the plaintext set even if .env has a value for them.
+ */
+export function applySecretMappings(envVars, config) {
+  const secrets = getSecretMappings(config);
+  const plain = Object.fromEntries(
+    Object.entries(envVars).filter(([key]) => !secrets[key])
+  );
+
+  return {
+    envVars: plain,
+    secrets,
+    unmapped: findUnmappedSecrets(plain, secrets)
+  };
+}
+
+/**
+ * Validate a secrets mapping, returning a list of problems
+ */
+export function validateSecretMappings(secrets) {
+  const errors = [];
+
+  for (const [envName, ref] of Object.entries(secrets || {})) {
+    const { secret, version } = normalizeSecretRef(ref);
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(envName)) {
+      errors.push(`secrets.${envName} is not a valid environment variable name`);
+    }
+    if (!secret || !/^[A-Za-z0-9_-]{1,255}$/.test(secret)) {
+      errors.push(`secrets.${envName} must reference a Secret Manager secret name (letters, numbers, - and _)`);
+    }
+    if (version !== 'latest' && !/^\d+$/.test(version)) {
+      errors.push(`secrets.${envName} version must be "latest" or a version number`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the value for gcloud run deploy --set-secrets
+ */
+export function buildSecretsFlagValue(mappings) {
+  return Object.entries(mappings)
+    .map(([envName, { secret, version }]) => `${envName}=${secret}:${version}`)
+    .join(',');
+}
+
+/**
+ * Check if a secret exists in Secret Manager
+ */
+export function secretExists(projectId, secret) {
+  try {
+    execSync(`gcloud secrets describe ${secret} --project=${projectId}`, { stdio: 'pipe' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create a secret in Secret Manager
+ */
+export function createSecret(projectId, secret) {
+  try {
+    execSync(`gcloud secrets create ${secret} --replication-policy=automatic --project=${projectId}`, {
+      stdio: 'pipe'
+    });
+    return true;
+  } catch (error) {
+    throw new Error(`Failed to create secret ${secret}: ${error.stderr?.toString() || error.message}`);
+  }
+}
+
+/**
+ * Add a new version to a secret, returning the version number
+ *
+ * The value is passed on stdin so it never appears in the process list.
+ */
+export function addSecretVersion(projectId, secret, value) {
+  try {
+    const output = execSync(
+      `gcloud secrets versions add ${secret} --data-file=- --project=${projectId} --format="value(name)"`,
+      { input: value, encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }
+    ).trim();
+    return output.split('/').pop();
+  } catch (error) {
+    throw new Error(`Failed to add version to secret ${secret}: ${error.stderr?.toString() || error.message}`);
+  }
+}
+
+/**
+ * Get the latest enabled version of a secret, or null if it has none
+ */
+export function getLatestSecretVersion(projectId, secret) {
+  try {
+    const output = execSync(
+      `gcloud secrets versions list ${secret} --filter="state=ENABLED" --limit=1 --sort-by=~createTime --format=json --project=${projectId}`,
+      { encoding: 'utf8', stdio: 'pipe' }
+    );
+    const [version] = JSON.parse(output);
+    return version ? { version: version.name.split('/').pop(), createTime: version.createTime } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Delete a secret and all of its versions
+ */
+export function deleteSecret(projectId, secret) {
+  try {
+    execSync(`gcloud secrets delete ${secret} --project=${projectId} --quiet`, { stdio: 'pipe' });
+    return true;
+  } catch (error) {
+    throw new Error(`Failed to delete secret ${secret}: ${error.stderr?.toString() || error.message}`);
+  }
+}
+
+/**
+ * Allow the default Cloud Run service account to read a secret
+ */
+export function grantSecretAccess(projectId, secret) {
+  try {
+    const projectNumber = execSync(
+      `gcloud projects describe ${projectId} --format="value(projectNumber)"`,
+      { encoding: 'utf8', stdio: 'pipe' }
+    ).trim();
+
+    execSync(`gcloud secrets add-iam-policy-binding ${secret} \
+      --member="serviceAccount:${projectNumber}-compute@developer.gserviceaccount.com" \
+      --role="roles/secretmanager.secretAccessor" \
+      --project=${projectId} \
+      --quiet`, { stdio: 'pipe' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import { CommandError, ExitCode } from './errors.js';
+
+// Nx workspaces without package manager workspaces keep projects here
+const NX_DEFAULT_PATTERNS = ['apps/*', 'libs/*', 'packages/*'];
+
+/**
+ * Read and parse a JSON file, or return null
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the package globs from pnpm-workspace.yaml
+ *
+ * Only the `packages:` list is needed, so this is a line-based parse rather
+ * than a full YAML parser.
+ */
+function readPnpmWorkspacePatterns(filePath) {
+  const patterns = [];
+  let inPackages = false;
+
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true;
+    } else if (inPackages && /^\s*-\s*/.test(line)) {
+      patterns.push(line.replace(/^\s*-\s*/, '').replace(/\s+#.*$/, '').replace(/^['"]|['"]$/g, '').trim());
+    } else if (inPackages && /^\S/.test(line)) {
+      inPackages = false;
+    }
+  }
+
+  return patterns;
+}
+
+/**
+ * Get the workspace package globs declared in a directory, or null
+ */
+function readWorkspacePatterns(dir) {
+  if (fs.existsSync(path.join(dir, 'pnpm-workspace.yaml'))) {
+    return readPnpmWorkspacePatterns(path.join(dir, 'pnpm-workspace.yaml'));
+  }
+
+  const workspaces = readJson(path.join(dir, 'package.json'))?.workspaces;
+  if (Array.isArray(workspaces)) return workspaces;
+  if (Array.isArray(workspaces?.packages)) return workspaces.packages;
+
+  if (fs.existsSync(path.join(dir, 'nx.json'))) {
+    return NX_DEFAULT_PATTERNS;
+  }
+
+  return null;
+}
+
+/**
+ * Detect the package manager from the lockfile at the workspace root
+ */
+function detectPackageManager(root) {
+  if (fs.existsSync(path.join(root, 'pnpm-lock.yaml'))) return 'pnpm';
+  if (fs.existsSync(path.join(root, 'yarn.lock'))) {
+    return fs.existsSync(path.join(root, '.yarnrc.yml')) ? 'yarn-berry' : 'yarn';
+  }
+  return 'npm';
+}
+
+/**
+ * Expand one workspace glob (supports `*` and `**` segments) to directories
+ */
+function expandPattern(root, pattern) {
+  const segments = pattern.replace(/\/+$/, '').split('/').filter(Boolean);
+  let dirs = [root];
+
+  for (const segment of segments) {
+    const next = [];
+
+    for (const dir of dirs) {
+      if (segment === '**') {
+        const walk = (current, depth) => {
+          next.push(current);
+          if (depth === 0) return;
+          for (const child of listDirs(current)) walk(child, depth - 1);
+        };
+        walk(dir, 4);
+      } else if (segment.includes('*')) {
+        const matcher = new RegExp(`^${segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+        next.push(...listDirs(dir).filter(child => matcher.test(path.basename(child))));
+      } else if (fs.existsSync(path.join(dir, segment))) {
+        next.push(path.join(dir, segment));
+      }
+    }
+
+    dirs = next;
+  }
+
+  return dirs;
+}
+
+/**
+ * List subdirectories, skipping node_modules and dot directories
+ */
+function listDirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+      .map(entry => path.join(dir, entry.name));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Find the monorepo root at or above a directory
+ *
+ * Returns { root, packageManager, tool, patterns } or null if the directory
+ * is not part of an npm/yarn/pnpm workspace or Nx repo. tool is 'turbo',
+ * 'nx' or null.
+ */
+export function findWorkspaceRoot(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const patterns = readWorkspacePatterns(dir);
+
+    if (patterns) {
+      let tool = null;
+      if (fs.existsSync(path.join(dir, 'turbo.json'))) tool = 'turbo';
+      else if (fs.existsSync(path.join(dir, 'nx.json'))) tool = 'nx';
+
+      return { root: dir, packageManager: detectPackageManager(dir), tool, patterns };
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * List workspace packages as { name, dir } with dir relative to the root
+ */
+export function listWorkspacePackages(workspace) {
+  const packages = new Map();
+  const include = workspace.patterns.filter(pattern => !pattern.startsWith('!'));
+  const exclude = workspace.patterns
+    .filter(pattern => pattern.startsWith('!'))
+    .flatMap(pattern => expandPattern(workspace.root, pattern.slice(1)));
+
+  for (const pattern of include) {
+    for (const dir of expandPattern(workspace.root, pattern)) {
+      const packageJson = readJson(path.join(dir, 'package.json'));
+      if (!packageJson || exclude.includes(dir) || dir === workspace.root) continue;
+
+      packages.set(dir, {
+        name: packageJson.name || path.basename(dir),
+        dir: path.relative(workspace.root, dir)
+      });
+    }
+  }
+
+  return [...packages.values()].sort((a, b) => a.dir.localeCompare(b.dir));
+}
+
+/**
+ * Workspace packages the app needs at runtime, following `dependencies`
+ * through the workspace, as { name, dir }
+ */
+export function getWorkspaceDependencies(workspace) {
+  const packages = new Map(listWorkspacePackages(workspace).map(pkg => [pkg.name, pkg]));
+  const found = new Map();
+  const queue = [workspace.app.dir];
+
+  while (queue.length > 0) {
+    const packageJson = readJson(path.join(workspace.root, queue.shift(), 'package.json'));
+    for (const name of Object.keys(packageJson?.dependencies || {})) {
+      const pkg = packages.get(name);
+      if (!pkg || found.has(name) || pkg.dir === workspace.app.dir) continue;
+      found.set(name, pkg);
+      queue.push(pkg.dir);
+    }
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Describe the workspace app a project directory belongs to
+ *
+ * Returns { ...workspace, app: { name, dir } } or null when the directory
+ * is not a package inside a monorepo (including the monorepo root itself).
+ */
+export function getWorkspaceApp(projectDir = process.cwd()) {
+  const resolved = path.resolve(projectDir);
+  const workspace = findWorkspaceRoot(resolved);
+  if (!workspace || workspace.root === resolved) return null;
+
+  const packageJson = readJson(path.join(resolved, 'package.json'));
+  if (!packageJson) return null;
+
+  return {
+    ...workspace,
+    app: {
+      name: packageJson.name || path.basename(resolved),
+      dir: path.relative(workspace.root, resolved)
+    }
+  };
+}
+
+/**
+ * Resolve the directory a command should run in from --cwd and --app
+ *
+ * --app accepts a workspace package name or a path relative to the
+ * workspace root.
+ */
+export function resolveProjectDir({ cwd, app } = {}) {
+  const startDir = path.resolve(cwd || process.cwd());
+
+  if (!fs.existsSync(startDir)) {
+    throw new CommandError(`Directory not found: ${cwd}`, ExitCode.USAGE);
+  }
+
+  if (!app) return startDir;
+
+  const workspace = findWorkspaceRoot(startDir);
+  if (!workspace) {
+    throw new CommandError(`--app needs a workspace, but no npm/yarn/pnpm workspace or Nx repo was found at or above ${startDir}`, ExitCode.USAGE);
+  }
+
+  const packages = listWorkspacePackages(workspace);
+  const match = packages.find(pkg => pkg.name === app || pkg.dir === path.normalize(app).replace(/\/+$/, ''));
+
+  if (!match) {
+    throw new CommandError(
+      `No workspace package named "${app}". Available: ${packages.map(pkg => pkg.name).join(', ') || 'none'}`,
+      ExitCode.NOT_FOUND
+    );
+  }
+
+  return path.join(workspace.root, match.dir);
+}